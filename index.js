@@ -6,10 +6,14 @@
  * in the Agent Task Service.
  */
 
-import { existsSync, readFileSync, writeFileSync, mkdirSync, realpathSync } from 'fs';
+import { existsSync, readFileSync, readdirSync, writeFileSync, mkdirSync, realpathSync, chmodSync, unlinkSync, rmdirSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { homedir } from 'os';
+import { spawn } from 'child_process';
+import { createInterface } from 'readline/promises';
+import { EventEmitter } from 'events';
+import { createHmac, randomUUID } from 'crypto';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const { version: VERSION } = JSON.parse(readFileSync(join(__dirname, 'package.json'), 'utf-8'));
@@ -19,34 +23,54 @@ const DEFAULT_BASE_URL = process.env.ATS_URL || 'https://ats.difflab.ai';
 // Argument Parsing
 // ============================================================================
 
+/**
+ * Flags that never take a value, so `--dry-run 12` leaves 12 as an argument.
+ */
+const BOOLEAN_FLAGS = new Set([
+  'dry-run', 'yes', 'y', 'force', 'global', 'help', 'h', 'keep', 'mine', 'reverse', 'r', 'store', 'no-store',
+  'version', 'all-projects', 'no-messages', 'no-reconnect', 'preserve-history', 'preserve-status',
+  'skip-existence-check', 'verbose', 'v', 'wrap'
+]);
+
 function parseArgs(args) {
   const result = {
     command: null,
     subcommand: null,
     positional: [],
     flags: {},
-    options: {}
+    options: {},
+    // Every value of each option, for options that may be repeated (--channel a --channel b)
+    lists: {},
+    rest: []
+  };
+  const setOption = (key, value) => {
+    result.options[key] = value;
+    (result.lists[key] ||= []).push(value);
   };
 
   let i = 0;
   while (i < args.length) {
     const arg = args[i];
 
-    if (arg.startsWith('--')) {
+    if (arg === '--') {
+      // Everything after a bare "--" is passed through untouched (e.g. `ats work -- <command>`)
+      result.rest = args.slice(i + 1);
+      break;
+    } else if (arg.startsWith('--')) {
       const key = arg.slice(2);
       if (key.includes('=')) {
-        const [k, v] = key.split('=');
-        result.options[k] = v;
-      } else if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
-        result.options[key] = args[i + 1];
+        const index = key.indexOf('=');
+        setOption(key.slice(0, index), key.slice(index + 1));
+      } else if (!BOOLEAN_FLAGS.has(key) && i + 1 < args.length && !args[i + 1].startsWith('-')) {
+        setOption(key, args[i + 1]);
         i++;
       } else {
         result.flags[key] = true;
       }
     } else if (arg.startsWith('-') && arg.length === 2) {
       const key = arg.slice(1);
-      if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
-        result.options[key] = args[i + 1];
+      if (!BOOLEAN_FLAGS.has(key) && i + 1 < args.length && !args[i + 1].startsWith('-')) {
+        setOption(key, args[i + 1]);
         i++;
       } else {
         result.flags[key] = true;
@@ -64,6 +88,18 @@ function parseArgs(args) {
   return result;
 }
 
+/**
+ * All values given for a repeatable option, with comma-separated values split:
+ * `--channel a,b --channel c` → ['a', 'b', 'c']. Null when the option is absent.
+ */
+function optionList(args, ...keys) {
+  const values = keys.flatMap(key => args.lists?.[key] || [])
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+  return values.length > 0 ? values : null;
+}
+
 // ============================================================================
 // Filter Parsers
 // ============================================================================
@@ -163,6 +199,16 @@ function parsePriority(input) {
   return { priority: exact };
 }
 
+/**
+ * Parse a single task priority, as given to --priority or in a template.
+ * Numeric strings such as "8" are accepted, since template values may be quoted.
+ */
+function parseTaskPriority(value) {
+  const priority = typeof value === 'number' || typeof value === 'string' ? parseInt(value, 10) : NaN;
+  if (!(priority >= 1 && priority <= 10)) throw new Error('Priority must be between 1 and 10');
+  return priority;
+}
+
 /**
  * Map user-friendly sort field names to API sort_by values.
  */
@@ -181,12 +227,57 @@ function parseSortField(input) {
   return field;
 }
 
+/**
+ * Parse a duration string into milliseconds.
+ * Supports: 500ms, 30s, 5m, 2h, 1d, 1w. A bare number is taken as seconds.
+ */
+function parseDuration(input) {
+  if (input === null || input === undefined || input === '') return null;
+
+  const match = String(input).match(/^(\d+)(ms|s|m|h|d|w)?$/);
+  if (!match) {
+    throw new Error(`Invalid duration: "${input}". Use: 500ms, 30s, 5m, 2h, 1d, 1w`);
+  }
+
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+  return parseInt(match[1], 10) * units[match[2] || 's'];
+}
+
+/**
+ * Format milliseconds as a short human-readable duration (e.g. "1h 5m", "42s").
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
 // ============================================================================
 // Configuration
 // ============================================================================
 
 const GLOBAL_CONFIG_PATH = join(homedir(), '.ats', 'config');
 const PROJECT_CONFIG_NAME = '.ats/config';
+const CREDENTIALS_PATH = join(homedir(), '.ats', 'credentials');
+const PROJECT_TEMPLATES_NAME = '.ats/templates';
+const GLOBAL_TEMPLATES_DIR = join(homedir(), '.ats', 'templates');
+
+/**
+ * Directories searched for project files (.ats/config, .ats/templates): the
+ * current directory and its ancestors, nearest first. The home directory is
+ * skipped, since its .ats holds the global config.
+ * @returns {string[]}
+ */
+function projectDirs() {
+  const home = homedir();
+  const dirs = [];
+  for (let dir = process.cwd(); ; dir = dirname(dir)) {
+    if (dir !== home) dirs.push(dir);
+    if (dirname(dir) === dir) return dirs; // Reached filesystem root
+  }
+}
 
 /**
  * Find project-level config by walking up directory tree.
@@ -194,10 +285,7 @@ const PROJECT_CONFIG_NAME = '.ats/config';
  * @returns {{ path: string, config: object } | null}
  */
 function findProjectConfig() {
-  let dir = process.cwd();
-  const root = dirname(dir);
-
-  while (dir !== root) {
+  for (const dir of projectDirs()) {
     const configPath = join(dir, PROJECT_CONFIG_NAME);
     if (existsSync(configPath)) {
       try {
@@ -207,9 +295,6 @@ function findProjectConfig() {
         // Invalid JSON, skip this config
       }
     }
-    const parent = dirname(dir);
-    if (parent === dir) break; // Reached filesystem root
-    dir = parent;
   }
 
   return null;
@@ -283,6 +368,111 @@ function saveProjectConfig(config, targetDir = process.cwd()) {
   return configPath;
 }
 
+/**
+ * Rewrite the local (nearest .ats/config) and global config bindings that point
+ * at an org or project, e.g. after it was renamed or deleted.
+ * @param {{ org: string, project?: string }} target - Binding to look for; without
+ *   a project, any project in the org matches
+ * @param {{ org?: string, project?: string } | null} replacement - New binding
+ *   (omitted fields are kept), or null to remove the binding
+ * @returns {{ scope: 'local' | 'global', path: string, removed: boolean }[]} Configs that changed
+ */
+function rewriteConfigBindings(target, replacement) {
+  const changed = [];
+  const matches = (cfg) => cfg.organization === target.org && (!target.project || cfg.project === target.project);
+
+  const rebind = (cfg) => {
+    if (replacement) {
+      if (replacement.org) cfg.organization = replacement.org;
+      if (replacement.project) cfg.project = replacement.project;
+    } else {
+      delete cfg.organization;
+      delete cfg.project;
+    }
+    return cfg;
+  };
+
+  const { project: projectConfig, projectPath } = loadConfig();
+  if (projectPath && matches(projectConfig)) {
+    const updated = rebind(projectConfig);
+    if (Object.keys(updated).length === 0) {
+      // Nothing left but the binding: drop the file, like a directory that was never initialized,
+      // and .ats/ with it unless it holds something else (e.g. templates)
+      unlinkSync(projectPath);
+      if (readdirSync(dirname(projectPath)).length === 0) rmdirSync(dirname(projectPath));
+      changed.push({ scope: 'local', path: projectPath, removed: true });
+    } else {
+      saveProjectConfig(updated, dirname(dirname(projectPath)));
+      changed.push({ scope: 'local', path: projectPath, removed: !replacement });
+    }
+  }
+
+  const globalConfig = loadGlobalConfig();
+  if (matches(globalConfig)) {
+    saveGlobalConfig(rebind(globalConfig));
+    changed.push({ scope: 'global', path: GLOBAL_CONFIG_PATH, removed: !replacement });
+  }
+
+  return changed;
+}
+
+/**
+ * Load stored credentials from ~/.ats/credentials, keyed by server URL:
+ * { "<url>": { "api_key": "...", "actor": { type, id, name } } }
+ */
+function loadCredentials() {
+  if (!existsSync(CREDENTIALS_PATH)) return {};
+  try {
+    return JSON.parse(readFileSync(CREDENTIALS_PATH, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save credentials to ~/.ats/credentials, readable only by the current user.
+ */
+function saveCredentials(credentials) {
+  const dir = dirname(CREDENTIALS_PATH);
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  writeFileSync(CREDENTIALS_PATH, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+  chmodSync(CREDENTIALS_PATH, 0o600);
+}
+
+/**
+ * Parse a retry count (0 disables retries).
+ */
+function parseRetries(input) {
+  if (input === null || input === undefined || input === '') return DEFAULT_RETRIES;
+  if (!/^\d+$/.test(String(input))) {
+    throw new Error(`Invalid retries: "${input}". Must be a whole number (0 disables retries)`);
+  }
+  return parseInt(input, 10);
+}
+
+/**
+ * Resolve the acting identity: flags > environment variables > config files >
+ * stored credentials > defaults. While the stored API key is in use, the
+ * identity stored with it comes before the config files instead, and an
+ * explicit actor that differs from it is warned about, since the server will
+ * see a key for one actor claiming to be another.
+ */
+function resolveActor(options, fileActor = {}, credentialActor = {}, storedKey = false) {
+  const explicit = {
+    type: options['actor-type'] || process.env.ATS_ACTOR_TYPE,
+    id: options['actor-id'] || process.env.ATS_ACTOR_ID,
+    name: options['actor-name'] || process.env.ATS_ACTOR_NAME
+  };
+  const [preferred, fallback] = storedKey ? [credentialActor, fileActor] : [fileActor, credentialActor];
+  const pick = (field, defaultValue) => explicit[field] || preferred?.[field] || fallback?.[field] || defaultValue;
+  const actor = { type: pick('type', 'agent'), id: pick('id', 'claude-code'), name: pick('name', 'Claude Code') };
+
+  if (storedKey && credentialActor?.id && (actor.type !== credentialActor.type || actor.id !== credentialActor.id)) {
+    console.error(`Warning: acting as ${actor.type}:${actor.id}, but the stored API key belongs to ${credentialActor.type}:${credentialActor.id}`);
+  }
+  return actor;
+}
+
 /**
  * Get merged configuration.
  * Priority: CLI flags > environment variables > project config > global config > defaults
@@ -295,18 +485,24 @@ function getConfig(options) {
   const hasOrgConfig = options.org || process.env.ATS_ORG || fileConfig.organization;
   const hasProjectConfig = options.project || process.env.ATS_PROJECT || fileConfig.project;
 
+  const baseUrl = options.url || options.u || process.env.ATS_URL || fileConfig.url || DEFAULT_BASE_URL;
+  const credentials = loadCredentials()[baseUrl] || {};
+  const storedKey = !!credentials.api_key && !options['api-key'] && !process.env.ATS_API_KEY;
+
   return {
-    baseUrl: options.url || options.u || process.env.ATS_URL || fileConfig.url || DEFAULT_BASE_URL,
+    baseUrl,
     organization: options.org || process.env.ATS_ORG || fileConfig.organization || 'default',
     project: options.project || process.env.ATS_PROJECT || fileConfig.project || 'main',
     channel: options.channel || process.env.ATS_CHANNEL || fileConfig.channel || 'default',
     useProjectScope: !!(hasOrgConfig || hasProjectConfig),
-    actor: {
-      type: options['actor-type'] || process.env.ATS_ACTOR_TYPE || fileConfig.actor?.type || 'agent',
-      id: options['actor-id'] || process.env.ATS_ACTOR_ID || fileConfig.actor?.id || 'claude-code',
-      name: options['actor-name'] || process.env.ATS_ACTOR_NAME || fileConfig.actor?.name || 'Claude Code'
-    },
-    format: options.format || options.f || 'table',
+    actor: resolveActor(options, fileConfig.actor, credentials.actor, storedKey),
+    apiKey: options['api-key'] || process.env.ATS_API_KEY || credentials.api_key || null,
+    timeout: parseDuration(options['request-timeout'] ?? process.env.ATS_TIMEOUT ?? fileConfig.timeout) ?? DEFAULT_REQUEST_TIMEOUT_MS,
+    retries: parseRetries(options.retries ?? process.env.ATS_RETRIES ?? fileConfig.retries),
+    ...parseFormat(options.format || options.f || 'table'),
+    columns: options.columns ? options.columns.split(',').map(c => c.trim()).filter(Boolean) : null,
+    color: parseColorMode(options.color),
+    wrap: !!options.wrap,
     verbose: options.verbose || options.v,
     // Track which project config is being used (for diagnostics)
     _projectConfigPath: projectPath
@@ -317,14 +513,154 @@ function getConfig(options) {
 // HTTP Client
 // ============================================================================
 
-async function request(config, method, path, body = null) {
+// --- Errors ---
+
+/**
+ * Base class for API failures. `type` and `exitCode` are stable and documented;
+ * `status` and `code` come from the HTTP response when there was one.
+ */
+class AtsError extends Error {
+  constructor(message, { status = null, code = null, details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  get type() { return 'error'; }
+  get exitCode() { return 1; }
+
+  toJSON() {
+    return { type: this.type, message: this.message, status: this.status, code: this.code, exit_code: this.exitCode };
+  }
+}
+
+/** The server could not be reached or did not answer in time. */
+class NetworkError extends AtsError {
+  get type() { return 'network'; }
+  get exitCode() { return 20; }
+}
+
+/** 401 / 403: missing, invalid or insufficient credentials. */
+class AuthError extends AtsError {
+  get type() { return 'auth'; }
+  get exitCode() { return 21; }
+}
+
+/** 404 / 410: the task, project or other resource does not exist. */
+class NotFoundError extends AtsError {
+  get type() { return 'not_found'; }
+  get exitCode() { return 22; }
+}
+
+/** 409: the request conflicts with the current state (e.g. task already claimed). */
+class ConflictError extends AtsError {
+  get type() { return 'conflict'; }
+  get exitCode() { return 23; }
+}
+
+/** 400, 422 and other 4xx: the server rejected the request as invalid. */
+class ValidationError extends AtsError {
+  get type() { return 'validation'; }
+  get exitCode() { return 24; }
+}
+
+/** 5xx, 429 after retries, or a response that is not valid JSON. */
+class ServerError extends AtsError {
+  get type() { return 'server'; }
+  get exitCode() { return 25; }
+}
+
+/**
+ * Build the error for a failed HTTP response.
+ * @param {Response} response
+ * @param {*} data - Parsed JSON body, or null when the body was empty or not JSON
+ * @param {string} text - Raw body
+ */
+function httpError(response, data, text) {
+  const { status } = response;
+  const serverError = data?.error;
+  const message = (typeof serverError === 'string' ? serverError : serverError?.message)
+    || data?.message
+    || `HTTP ${status}${response.statusText ? ` ${response.statusText}` : ''}`;
+  const code = data?.code || serverError?.code || data?.error_code || null;
+  const details = data ?? (text ? { body: text.slice(0, 500) } : null);
+
+  let ErrorClass = ValidationError;
+  if (status === 401 || status === 403) ErrorClass = AuthError;
+  else if (status === 404 || status === 410) ErrorClass = NotFoundError;
+  else if (status === 409) ErrorClass = ConflictError;
+  else if (status === 429 || status >= 500) ErrorClass = ServerError;
+
+  return new ErrorClass(message, { status, code, details });
+}
+
+/**
+ * Parse a response body. Empty bodies (e.g. 204) become {}; anything that is
+ * not JSON becomes null.
+ */
+function parseBody(text) {
+  if (!text.trim()) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 30000;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential backoff with jitter,
+ * or the server's Retry-After (seconds or HTTP date) when it sent one.
+ */
+function retryDelay(attempt, retryAfter) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (!Number.isNaN(ms)) return Math.min(Math.max(ms, 0), RETRY_MAX_DELAY_MS);
+  }
+  const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Send an API request. Every attempt is bounded by `config.timeout`; timeouts,
+ * network errors and 408/429/5xx responses of requests that are safe to repeat
+ * are retried up to `config.retries` times. That is GET/PUT/DELETE and the like,
+ * plus POST/PATCH requests marked `idempotent` (create, claim, complete, message
+ * add): those carry an Idempotency-Key, the same on every retry, so the server
+ * can tell a retry from a second operation. Pass `idempotencyKey` to use a key
+ * of your own, e.g. one that stays the same when a script is rerun.
+ * Other POST/PATCH requests are sent once.
+ * @param {object} [opts] - { idempotent: boolean, idempotencyKey: string }
+ */
+async function request(config, method, path, body = null, opts = {}) {
   const url = `${config.baseUrl}${path}`;
+  const timeout = config.timeout ?? DEFAULT_REQUEST_TIMEOUT_MS;
+  const safe = IDEMPOTENT_METHODS.includes(method);
+  const idempotent = opts.idempotent || !!opts.idempotencyKey;
+  const retries = safe || idempotent ? config.retries ?? DEFAULT_RETRIES : 0;
   const headers = {
     'Content-Type': 'application/json',
     'X-Actor-Type': config.actor.type,
     'X-Actor-ID': config.actor.id,
     'X-Actor-Name': config.actor.name
   };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+  if (!safe && idempotent) {
+    headers['Idempotency-Key'] = opts.idempotencyKey || randomUUID();
+  }
 
   const options = { method, headers };
   if (body) {
@@ -336,20 +672,61 @@ async function request(config, method, path, body = null) {
     if (body) console.error(`  Body: ${JSON.stringify(body, null, 2)}`);
   }
 
-  try {
-    const response = await fetch(url, options);
-    const data = await response.json();
+  for (let attempt = 1; ; attempt++) {
+    const controller = new AbortController();
+    const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+    let retryAfter = null;
+    let failure;
+
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+
+      if (RETRYABLE_STATUSES.includes(response.status) && attempt <= retries) {
+        retryAfter = response.headers.get('retry-after');
+        failure = `HTTP ${response.status}`;
+        await response.body?.cancel();
+      } else {
+        const text = await response.text();
+        const data = parseBody(text);
+
+        if (!response.ok) {
+          throw httpError(response, data, text);
+        }
+        if (data === null) {
+          const type = response.headers.get('content-type') || 'unknown content type';
+          throw new ServerError(`Expected JSON from ${method} ${url}, got ${type} (HTTP ${response.status})`, {
+            status: response.status,
+            details: { body: text.slice(0, 500) }
+          });
+        }
 
-    if (!response.ok) {
-      throw new Error(data.error || data.message || `HTTP ${response.status}`);
+        return data;
+      }
+    } catch (err) {
+      if (err instanceof AtsError) throw err;
+
+      let error;
+      if (err.name === 'AbortError') {
+        error = new NetworkError(`Request timed out after ${formatDuration(timeout)}: ${method} ${url}`, { code: 'timeout' });
+      } else if (err.cause?.code === 'ECONNREFUSED' || err.code === 'ECONNREFUSED') {
+        error = new NetworkError(`Cannot connect to ATS at ${config.baseUrl}. Is the server running?`, { code: 'ECONNREFUSED' });
+      } else if (err instanceof TypeError) {
+        const cause = err.cause?.message || err.message;
+        error = new NetworkError(`Request to ${config.baseUrl} failed: ${cause}`, { code: err.cause?.code || null });
+      } else {
+        throw err;
+      }
+      if (attempt > retries) throw error;
+      failure = error.message;
+    } finally {
+      clearTimeout(timer);
     }
 
-    return data;
-  } catch (err) {
-    if (err.code === 'ECONNREFUSED') {
-      throw new Error(`Cannot connect to ATS at ${config.baseUrl}. Is the server running?`);
+    const delay = retryDelay(attempt, retryAfter);
+    if (config.verbose) {
+      console.error(`  Attempt ${attempt}/${retries + 1} failed (${failure}); retrying in ${(delay / 1000).toFixed(1)}s`);
     }
-    throw err;
+    await sleep(delay);
   }
 }
 
@@ -367,1004 +744,5045 @@ function taskPath(config, subpath = '') {
 }
 
 // ============================================================================
-// Output Formatting
+// API Client
 // ============================================================================
 
-function formatTable(data, columns) {
-  if (!Array.isArray(data)) data = [data];
-  if (data.length === 0) {
-    console.log('No results found.');
-    return;
+/**
+ * Map camelCase client options (apiKey, actorId, ...) to the CLI option names
+ * getConfig understands (api-key, actor-id, ...).
+ */
+function toConfigOptions(options) {
+  const mapped = {};
+  for (const [key, value] of Object.entries(options)) {
+    mapped[key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)] = value;
   }
+  return mapped;
+}
 
-  // Calculate column widths
-  const widths = {};
-  for (const col of columns) {
-    widths[col.key] = col.label.length;
-    for (const row of data) {
-      const val = String(col.format ? col.format(row[col.key], row) : row[col.key] ?? '');
-      widths[col.key] = Math.max(widths[col.key], val.length);
-    }
-  }
+/**
+ * Normalize task outputs: a single output object is wrapped into an array.
+ */
+function toOutputs(outputs) {
+  if (outputs === null || outputs === undefined) return undefined;
+  return Array.isArray(outputs) ? outputs : [outputs];
+}
 
-  // Print header
-  const header = columns.map(col => col.label.padEnd(widths[col.key])).join('  ');
-  console.log(header);
-  console.log(columns.map(col => '─'.repeat(widths[col.key])).join('──'));
+const EVENT_DEDUPE_WINDOW = 1000;
+const EVENT_PAGE_SIZE = 500;
 
-  // Print rows
-  for (const row of data) {
-    const line = columns.map(col => {
-      const val = String(col.format ? col.format(row[col.key], row) : row[col.key] ?? '');
-      return val.padEnd(widths[col.key]);
-    }).join('  ');
-    console.log(line);
-  }
+/**
+ * Identity of an event, used to drop duplicates between live and replayed events.
+ * Events without an ID have none (null) and are never treated as duplicates.
+ */
+function eventKey(event) {
+  const id = event.id ?? event.event_id;
+  return id === undefined || id === null ? null : String(id);
 }
 
-function formatOutput(data, format, columns = null) {
-  if (format === 'json') {
-    console.log(JSON.stringify(data, null, 2));
-  } else if (columns) {
-    formatTable(data, columns);
-  } else {
-    console.log(JSON.stringify(data, null, 2));
-  }
+function eventTime(event) {
+  return event.created_at || event.timestamp || null;
 }
 
-function formatTimestamp(ts) {
-  if (!ts) return '';
-  const d = new Date(ts);
-  return d.toLocaleString();
+/**
+ * An event's time in epoch milliseconds (0 when it has none), for comparing
+ * whatever timestamp format the server uses.
+ */
+function eventMillis(event) {
+  return Date.parse(eventTime(event)) || 0;
 }
 
-function formatStatus(status) {
-  const colors = {
-    pending: '\x1b[33m',     // yellow
-    in_progress: '\x1b[36m', // cyan
-    completed: '\x1b[32m',   // green
-    cancelled: '\x1b[90m',   // gray
-    failed: '\x1b[31m',      // red
-    rejected: '\x1b[35m'     // magenta
-  };
-  const reset = '\x1b[0m';
-  return `${colors[status] || ''}${status}${reset}`;
+/**
+ * Whether an event passes subscription filters. The server filters live events
+ * too, but replayed history is unfiltered and several subscriptions share one
+ * connection. Fields the event does not carry are not held against it, for live
+ * and replayed events alike; an unassigned task carries `assignee_id: null`.
+ */
+function matchesEventFilters(event, filters) {
+  const task = event.data?.task || event.task || {};
+  const oneOf = (list, value) => !list?.length || value === undefined || value === null || list.includes(value);
+
+  if (!oneOf(filters.event_types, event.type)) return false;
+  if (!oneOf(filters.channels, task.channel ?? event.channel)) return false;
+  if (!oneOf(filters.task_types, task.type ?? event.task_type)) return false;
+  if (filters.assignee_ids?.length && 'assignee_id' in task && !filters.assignee_ids.includes(task.assignee_id)) return false;
+
+  const priority = task.priority;
+  if (priority !== undefined && priority !== null) {
+    if (filters.priority && priority !== filters.priority) return false;
+    if (filters.min_priority && priority < filters.min_priority) return false;
+    if (filters.max_priority && priority > filters.max_priority) return false;
+  }
+  return true;
 }
 
-function formatPriority(p) {
-  if (p >= 8) return `\x1b[31m${p}\x1b[0m`;  // red for high
-  if (p >= 5) return `\x1b[33m${p}\x1b[0m`;  // yellow for medium
-  return `\x1b[32m${p}\x1b[0m`;               // green for low
+/**
+ * Give a stored history event the shape of a live WebSocket event, using the
+ * task snapshot fetched for it (if any) since history events only name their task.
+ */
+function toLiveEvent(event, task = null) {
+  if (event.data?.task || event.task) return event;
+  return { ...event, data: { ...event.data, task: task || { id: event.task_id, channel: event.channel } } };
 }
 
-// ============================================================================
-// Task Columns
-// ============================================================================
-
-const TASK_COLUMNS = [
-  { key: 'id', label: 'ID' },
-  { key: 'title', label: 'Title', format: (v) => v?.substring(0, 40) || '' },
-  { key: 'status', label: 'Status', format: formatStatus },
-  { key: 'priority', label: 'Pri', format: formatPriority },
-  { key: 'type', label: 'Type' },
-  { key: 'channel', label: 'Channel' },
-  { key: 'assignee_name', label: 'Assignee' },
-  { key: 'created_at', label: 'Created', format: formatTimestamp }
-];
-
-const TASK_DETAIL_COLUMNS = [
-  { key: 'id', label: 'ID' },
-  { key: 'title', label: 'Title' },
-  { key: 'status', label: 'Status', format: formatStatus },
-  { key: 'priority', label: 'Priority', format: formatPriority },
-  { key: 'type', label: 'Type' },
-  { key: 'channel', label: 'Channel' },
-  { key: 'source_name', label: 'Source' },
-  { key: 'assignee_name', label: 'Assignee' },
-  { key: 'created_at', label: 'Created', format: formatTimestamp },
-  { key: 'updated_at', label: 'Updated', format: formatTimestamp }
-];
-
-const EVENT_COLUMNS = [
-  { key: 'id', label: 'ID' },
-  { key: 'type', label: 'Event Type' },
-  { key: 'task_id', label: 'Task' },
-  { key: 'actor_name', label: 'Actor' },
-  { key: 'channel', label: 'Channel' },
-  { key: 'created_at', label: 'Time', format: formatTimestamp }
-];
+/**
+ * Live task events from the WebSocket. Emits 'open', 'event', 'error' and
+ * 'close', and can be consumed with `for await (const event of stream)`.
+ *
+ * With `reconnect`, a dropped connection is re-opened with exponential backoff
+ * ('reconnecting' is emitted with { attempt, delay }) and events missed while
+ * disconnected are replayed from the event history, without duplicates, before
+ * live events resume. 'close' is then only emitted after close().
+ */
+class EventStream extends EventEmitter {
+  /**
+   * @param {AtsClient} client
+   * @param {object|object[]} [filters] - Subscription filters, or a list of named
+   *   subscriptions; see subscribeEvents
+   * @param {object} [opts] - { reconnect: boolean, since: { id, at } } where `since`
+   *   is the last event already handled (e.g. from a checkpoint) to replay after
+   */
+  constructor(client, filters = {}, opts = {}) {
+    super();
+    this.client = client;
+    this.filters = filters;
+    this.reconnect = !!opts.reconnect;
+    /** Last event delivered: { id, at }. Persist it to resume later with `since`. */
+    this.lastEvent = opts.since || null;
+    this._queue = [];
+    this._waiting = [];
+    this._seen = new Set();
+    this._closed = false;
+    this._attempt = 0;
+    this._connectedAt = null;
+    this._timer = null;
+    if (this.lastEvent?.id) this._seen.add(String(this.lastEvent.id));
+
+    this._connect(!!this.lastEvent);
+  }
 
-const MESSAGE_COLUMNS = [
-  { key: 'id', label: 'ID' },
-  { key: 'actor_name', label: 'From' },
-  { key: 'parts', label: 'Content', format: (parts) => {
-    if (!parts || !parts.length) return '';
-    const first = parts[0];
-    if (first.type === 'text') return first.content?.substring(0, 50) || '';
-    return `[${first.type}]`;
-  }},
-  { key: 'created_at', label: 'Time', format: formatTimestamp }
-];
+  _connect(replay) {
+    let buffered = replay ? [] : null;
+
+    this._subscription = subscribeEvents(this.client.config, this.filters, {
+      onOpen: async () => {
+        this._attempt = 0;
+        const since = this.lastEvent?.at || this._connectedAt;
+        this._connectedAt = new Date().toISOString();
+        this.emit('open');
+        if (buffered) {
+          // Live events that arrive during the replay wait until it is done
+          await this._replay(since, this.lastEvent?.id);
+          const live = buffered;
+          buffered = null;
+          for (const msg of live) this._deliver(msg);
+        }
+      },
+      onEvent: (msg) => {
+        if (buffered) buffered.push(msg);
+        else this._deliver(msg);
+      },
+      onError: (err) => this._error(err),
+      onClose: () => {
+        if (this.reconnect && !this._closed) {
+          this._attempt++;
+          const delay = retryDelay(this._attempt);
+          this.emit('reconnecting', { attempt: this._attempt, delay });
+          this._timer = setTimeout(() => {
+            this._timer = null;
+            this._connect(true);
+          }, delay);
+          return;
+        }
+        this._end();
+      }
+    });
+  }
 
-// ============================================================================
-// Commands
-// ============================================================================
+  /**
+   * Deliver events recorded since `since` that were not seen live. Without a
+   * time (a checkpoint holding only an event ID), the whole history is read and
+   * the events after `afterId` are delivered.
+   */
+  async _replay(since, afterId) {
+    if (!since && !afterId) return;
+    try {
+      let events = await this.client.events.listAll(since ? { since } : {});
+      events.sort((a, b) => eventMillis(a) - eventMillis(b));
+      if (!since) {
+        const index = events.findIndex(event => eventKey(event) === String(afterId));
+        if (index === -1) throw new Error(`event ${afterId} is not in the event history`);
+        events = events.slice(index + 1);
+      }
+      const tasks = await this._replayTasks(events);
+      for (const event of events) {
+        this._deliver({ ...toLiveEvent(event, tasks.get(String(event.task_id))), replayed: true });
+      }
+    } catch (err) {
+      this._error(new Error(`Could not replay missed events: ${err.message}`));
+    }
+  }
 
-const commands = {};
+  /**
+   * Fetch the tasks of replayed events that do not carry one, so filters see
+   * the same fields as on live events. Tasks that cannot be fetched are left out.
+   * @returns {Promise<Map<string, object>>}
+   */
+  async _replayTasks(events) {
+    const ids = [...new Set(events
+      .filter(event => !event.data?.task && !event.task && event.task_id !== undefined && event.task_id !== null)
+      .map(event => String(event.task_id)))];
+    const tasks = new Map();
+    await mapConcurrent(ids, 5, async (id) => {
+      try {
+        tasks.set(id, await this.client.tasks.get(id));
+      } catch {
+        // Deleted since, or not visible: filter on what the event carries
+      }
+    });
+    return tasks;
+  }
 
-// --- Health ---
-commands.health = async function(args, config) {
-  const data = await request(config, 'GET', '/health');
-  console.log(`✓ Service is ${data.status}`);
-  console.log(`  Timestamp: ${data.timestamp}`);
-};
+  _deliver(msg) {
+    const subscriptions = Array.isArray(this.filters) ? this.filters : [this.filters];
+    const matched = subscriptions.filter(sub => matchesEventFilters(msg, sub));
+    if (matched.length === 0) return;
+    if (matched.some(sub => sub.name)) msg = { ...msg, subscriptions: matched.map(sub => sub.name).filter(Boolean) };
+
+    const key = eventKey(msg);
+    if (key !== null) {
+      if (this._seen.has(key)) return;
+      this._seen.add(key);
+      if (this._seen.size > EVENT_DEDUPE_WINDOW) this._seen.delete(this._seen.values().next().value);
+    }
+    this.lastEvent = { id: msg.id ?? msg.event_id ?? null, at: eventTime(msg) || new Date().toISOString() };
+
+    this.emit('event', msg);
+    const waiter = this._waiting.shift();
+    if (waiter) {
+      waiter({ value: msg, done: false });
+    } else if (this.listenerCount('event') === 0) {
+      // Only buffer for iteration when nobody is listening
+      this._queue.push(msg);
+    }
+  }
 
-// --- Stats ---
-commands.stats = async function(args, config) {
-  const data = await request(config, 'GET', '/tasks/stats');
-  const stats = data.stats || data;
+  _error(err) {
+    if (this.listenerCount('error') > 0) this.emit('error', err);
+  }
 
-  if (config.format === 'json') {
-    console.log(JSON.stringify(stats, null, 2));
-    return;
+  _end() {
+    if (this._ended) return;
+    this._ended = true;
+    this._closed = true;
+    for (const waiter of this._waiting.splice(0)) waiter({ value: undefined, done: true });
+    this.emit('close');
   }
 
-  // Pretty print stats
-  console.log('\n┌─ Task Statistics ──────────────────────────────────');
-  console.log(`│ Total Tasks:          ${stats.total}`);
-  console.log('├─ By Status ────────────────────────────────────────');
+  isOpen() {
+    return this._subscription.isOpen();
+  }
 
-  const statusOrder = ['pending', 'in_progress', 'completed', 'cancelled', 'failed', 'rejected'];
-  for (const status of statusOrder) {
-    const count = stats.by_status[status] || 0;
-    if (count > 0 || status === 'pending' || status === 'in_progress' || status === 'completed') {
-      console.log(`│   ${formatStatus(status).padEnd(20)} ${count}`);
+  close() {
+    this._closed = true;
+    if (this._timer) {
+      // Waiting to reconnect: there is no socket left to report the close
+      clearTimeout(this._timer);
+      this._timer = null;
+      this._end();
+    } else {
+      this._subscription.close();
     }
   }
 
-  console.log('├─ By Channel ───────────────────────────────────────');
-  const channels = Object.entries(stats.by_channel || {}).slice(0, 5);
-  if (channels.length === 0) {
-    console.log('│   (none)');
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this._queue.length > 0) return Promise.resolve({ value: this._queue.shift(), done: false });
+        if (this._closed) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve) => this._waiting.push(resolve));
+      },
+      return: () => {
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+  }
+}
+
+/**
+ * Programmatic ATS client. Configuration is resolved exactly like the CLI
+ * (options > environment variables > project config > global config > defaults).
+ *
+ * @example
+ * import { AtsClient } from '@difflabai/ats-cli';
+ * const client = new AtsClient({ org: 'acme', project: 'web', apiKey: process.env.ATS_API_KEY });
+ * const task = await client.tasks.create({ title: 'Review PR #12', priority: 8 });
+ * await client.messages.add(task.id, 'Started');
+ * for await (const event of client.watch({ event_types: ['task.completed'] })) { ... }
+ */
+class AtsClient {
+  /**
+   * @param {object} [options] - url, org, project, channel, actorType, actorId, actorName, apiKey,
+   *   requestTimeout, retries, verbose; or { config } with an already-resolved configuration
+   */
+  constructor(options = {}) {
+    this.config = options.config || getConfig(toConfigOptions(options));
+    const req = (method, path, body, opts) => request(this.config, method, path, body, opts);
+    const tasks = (subpath) => taskPath(this.config, subpath);
+    // Project-scoped like tasks, e.g. /orgs/acme/projects/web/events
+    const scoped = (path) => taskPath(this.config).replace(/\/tasks$/, '') + path;
+
+    this.tasks = {
+      /** @param {{ idempotencyKey?: string }} [opts] - Key to send instead of a generated one */
+      create: async (body, opts = {}) => unwrap(await req('POST', tasks(), { channel: this.config.channel, ...body }, {
+        idempotent: true,
+        idempotencyKey: opts.idempotencyKey
+      }), 'task'),
+      get: async (id) => unwrap(await req('GET', tasks(`/${id}`)), 'task'),
+      /** @returns {Promise<{ tasks: object[], count: number }>} */
+      list: async (params = {}) => {
+        const query = new URLSearchParams(params).toString();
+        const result = await req('GET', `${tasks()}${query ? '?' + query : ''}`);
+        const list = result.tasks || result;
+        return { tasks: list, count: result.count || list.length };
+      },
+      /** Fetch every matching task, paging through the list endpoint. */
+      listAll: async (params = {}) => {
+        const pageSize = 100;
+        const all = [];
+        for (let offset = 0; ; offset += pageSize) {
+          const { tasks: page } = await this.tasks.list({ ...params, limit: String(pageSize), offset: String(offset) });
+          all.push(...page);
+          if (page.length < pageSize) return all;
+        }
+      },
+      update: async (id, body) => unwrap(await req('PATCH', tasks(`/${id}`), body), 'task'),
+      /**
+       * @param {{ lease?: number, idempotencyKey?: string }} [opts] - Lease duration in milliseconds
+       *   (server default: 60s), and a key to send instead of a generated one
+       */
+      claim: async (id, opts = {}) => {
+        const body = {};
+        if (opts.lease) body.lease_duration = opts.lease;
+        return unwrap(await req('POST', tasks(`/${id}/claim`), body, { idempotent: true, idempotencyKey: opts.idempotencyKey }), 'task');
+      },
+      /** @param {{ idempotencyKey?: string }} [opts] - Key to send instead of a generated one */
+      complete: async (id, outputs = null, opts = {}) => {
+        const body = {};
+        if (toOutputs(outputs)) body.outputs = toOutputs(outputs);
+        return unwrap(await req('POST', tasks(`/${id}/complete`), body, { idempotent: true, idempotencyKey: opts.idempotencyKey }), 'task');
+      },
+      cancel: async (id) => unwrap(await req('POST', tasks(`/${id}/cancel`)), 'task'),
+      fail: async (id, reason = null) => unwrap(await req('POST', tasks(`/${id}/fail`), reason ? { reason } : {}), 'task'),
+      reject: async (id, reason = null) => unwrap(await req('POST', tasks(`/${id}/reject`), reason ? { reason } : {}), 'task'),
+      reopen: async (id, reason = null) => unwrap(await req('POST', tasks(`/${id}/reopen`), reason ? { reason } : {}), 'task'),
+      /** Wait until tasks reach a final status; see waitForTasks. */
+      wait: (ids, opts) => waitForTasks(this, Array.isArray(ids) ? ids : [ids], opts),
+      stats: async () => unwrap(await req('GET', '/tasks/stats'), 'stats'),
+      /** A task's events and messages as one chronological timeline; see taskTimeline. */
+      history: async (id) => {
+        const [events, messages] = await Promise.all([this.events.listAll({ task_id: id }), this.messages.list(id)]);
+        return taskTimeline(events.filter(e => String(e.task_id ?? e.data?.task?.id) === String(id)), messages);
+      }
+    };
+
+    this.messages = {
+      /** @param {string|object[]} content - Text, or an array of message parts */
+      add: async (taskId, content, opts = {}) => {
+        const parts = Array.isArray(content) ? content : [{ type: opts.type || 'text', content }];
+        return unwrap(await req('POST', tasks(`/${taskId}/messages`), { parts }, { idempotent: true }), 'message');
+      },
+      list: async (taskId) => unwrapList(await req('GET', tasks(`/${taskId}/messages`)), 'messages')
+    };
+
+    this.events = {
+      /** @param {object} [params] - Query filters such as since, until, task_id, type, actor_id, limit, offset */
+      list: async (params = {}) => {
+        const query = new URLSearchParams(params).toString();
+        return unwrapList(await req('GET', `${scoped('/events')}${query ? '?' + query : ''}`), 'events');
+      },
+      /** Fetch every matching event, paging through the list endpoint. */
+      listAll: async (params = {}) => {
+        const all = [];
+        for (let offset = 0; ; offset += EVENT_PAGE_SIZE) {
+          const page = await this.events.list({ ...params, limit: String(EVENT_PAGE_SIZE), offset: String(offset) });
+          all.push(...page);
+          if (page.length < EVENT_PAGE_SIZE) return all;
+        }
+      }
+    };
+
+    this.projects = {
+      list: async (org, opts = {}) => unwrapList(await req('GET', `/orgs/${org}/projects${opts.counts ? '?counts=true' : ''}`), 'projects'),
+      get: async (org, project) => unwrap(await req('GET', `/orgs/${org}/projects/${project}`), 'project'),
+      create: async (org, body) => unwrap(await req('POST', `/orgs/${org}/projects`, body), 'project'),
+      update: async (org, project, body) => unwrap(await req('PATCH', `/orgs/${org}/projects/${project}`, body), 'project'),
+      delete: (org, project) => req('DELETE', `/orgs/${org}/projects/${project}`)
+    };
+
+    const member = (org, actor) => `/orgs/${org}/members/${actor.type}/${encodeURIComponent(actor.id)}`;
+    this.orgs = {
+      list: async () => unwrapList(await req('GET', '/orgs'), 'organizations'),
+      get: async (org) => unwrap(await req('GET', `/orgs/${org}`), 'organization'),
+      create: async (body) => unwrap(await req('POST', '/orgs', body), 'organization'),
+      update: async (org, body) => unwrap(await req('PATCH', `/orgs/${org}`, body), 'organization'),
+      delete: (org) => req('DELETE', `/orgs/${org}`),
+      members: {
+        list: async (org) => unwrapList(await req('GET', `/orgs/${org}/members`), 'members'),
+        add: (org, actor, role) => req('POST', `/orgs/${org}/members`, { actor_type: actor.type, actor_id: actor.id, role }),
+        update: (org, actor, role) => req('PATCH', member(org, actor), { role }),
+        remove: (org, actor) => req('DELETE', member(org, actor))
+      },
+      invitations: {
+        create: async (org, body) => unwrap(await req('POST', `/orgs/${org}/invitations`, body), 'invitation'),
+        list: async (org) => unwrapList(await req('GET', `/orgs/${org}/invitations`), 'invitations')
+      },
+      permissions: {
+        grant: async (org, body) => unwrap(await req('POST', `/orgs/${org}/permissions`, body), 'permission'),
+        list: async (org, params = {}) => {
+          const query = new URLSearchParams(params).toString();
+          return unwrapList(await req('GET', `/orgs/${org}/permissions${query ? '?' + query : ''}`), 'permissions');
+        },
+        revoke: (org, id) => req('DELETE', `/orgs/${org}/permissions/${id}`)
+      }
+    };
+
+    this.auth = {
+      /** @returns {Promise<object>} Raw response: identity plus the new API key */
+      register: (body) => req('POST', '/auth/register', body),
+      me: async () => unwrap(await req('GET', '/auth/me'), 'identity'),
+      updateMe: async (body) => unwrap(await req('PATCH', '/auth/me', body), 'identity'),
+      identity: async (actorId) => unwrap(await req('GET', `/auth/identities/${encodeURIComponent(actorId)}`), 'identity'),
+      invitations: {
+        list: async () => unwrapList(await req('GET', '/auth/invitations'), 'invitations'),
+        accept: (token) => req('POST', `/auth/invitations/${encodeURIComponent(token)}/accept`),
+        decline: (token) => req('POST', `/auth/invitations/${encodeURIComponent(token)}/decline`)
+      },
+      apiKeys: {
+        /** @returns {Promise<object>} Raw response including the secret, which is never shown again */
+        create: (body = {}) => req('POST', '/auth/api-keys', body),
+        list: async () => {
+          const result = await req('GET', '/auth/api-keys');
+          return result.api_keys || result.keys || result;
+        },
+        revoke: (id) => req('DELETE', `/auth/api-keys/${id}`)
+      },
+      guardians: {
+        link: async () => unwrap(await req('POST', '/auth/me/guardian-link'), 'link'),
+        confirm: (token) => req('POST', `/auth/guardian-confirm/${encodeURIComponent(token)}`),
+        /** @returns {Promise<object>} Raw response: { guardians, guarded_agents } */
+        list: () => req('GET', '/auth/me/guardians'),
+        remove: (id) => req('DELETE', `/auth/me/guardians/${id}`),
+        issueKey: (agentId, body = {}) => req('POST', `/auth/guardians/${encodeURIComponent(agentId)}/api-keys`, body)
+      }
+    };
+  }
+
+  /**
+   * A client for another project on the same server, with the same identity.
+   */
+  forProject(org, project) {
+    return this.withConfig({ organization: org, project, useProjectScope: true });
+  }
+
+  /**
+   * A copy of this client with some resolved settings replaced, e.g. { timeout, retries }.
+   */
+  withConfig(overrides) {
+    return new AtsClient({ config: { ...this.config, ...overrides } });
+  }
+
+  health() {
+    return request(this.config, 'GET', '/health');
+  }
+
+  /**
+   * Subscribe to live task events, scoped to the client's project when project scope is in use.
+   * @param {object|object[]} [filters] - { channels, task_types, event_types, assignee_ids, priority,
+   *   min_priority, max_priority }, or a list of named subscriptions ({ name, ...filters })
+   * @param {object} [opts] - { reconnect, since }; see EventStream
+   * @returns {EventStream}
+   */
+  watch(filters = {}, opts = {}) {
+    return new EventStream(this, filters, opts);
+  }
+}
+
+/**
+ * Unwrap a response envelope such as { task: {...} }, tolerating bare responses.
+ */
+function unwrap(result, key) {
+  return result?.[key] ?? result;
+}
+
+/**
+ * Unwrap a list envelope such as { projects: [...] }; anything else is an empty list.
+ */
+function unwrapList(result, key) {
+  if (Array.isArray(result)) return result;
+  return result?.[key] || [];
+}
+
+const clients = new WeakMap();
+
+/**
+ * The client for a resolved CLI configuration (one per config object).
+ */
+function clientFor(config) {
+  if (!clients.has(config)) clients.set(config, new AtsClient({ config }));
+  return clients.get(config);
+}
+
+// ============================================================================
+// Lease Renewal
+// ============================================================================
+
+const DEFAULT_LEASE_MS = 60000;
+
+/**
+ * Keep a claimed task's lease alive by re-claiming it as the current assignee,
+ * which extends the lease on the server. The API has no separate renewal call.
+ * Renews at a third of the lease so one missed renewal does not lose the task.
+ * The next renewal is only scheduled once the previous one has finished, and
+ * each renewal's timeout and retries fit within that third.
+ *
+ * A conflict on renewal only counts as losing the task if the task is no longer
+ * in progress for this actor; a server that refuses to re-claim a task its
+ * holder already has just leaves the current lease running.
+ * @param {AtsClient} client - Client that claimed the task
+ * @param {string|number} id - Task ID
+ * @param {number} [leaseMs] - Lease duration to request on each renewal
+ * @param {Function} onLost - Called with the error when the task was lost
+ * @returns {Function} stop - Stops renewing
+ */
+function keepLeaseAlive(client, id, leaseMs, onLost) {
+  const lease = leaseMs || DEFAULT_LEASE_MS;
+  const interval = Math.max(Math.floor(lease / 3), 1000);
+  // One retry: two attempts plus the first backoff delay stay within the interval
+  const renewer = client.withConfig({
+    timeout: Math.max(Math.floor((interval - RETRY_BASE_DELAY_MS) / 2), 500),
+    retries: 1
+  });
+  let stopped = false;
+  let timer = null;
+
+  const stillHeld = async () => {
+    const task = await renewer.tasks.get(id);
+    const actor = client.config.actor || {};
+    return task.status === 'in_progress' && task.assignee_id === actor.id
+      && (!task.assignee_type || task.assignee_type === actor.type);
+  };
+
+  const renew = async () => {
+    try {
+      await renewer.tasks.claim(id, { lease });
+      if (client.config.verbose) console.error(`  Renewed lease on task ${id}`);
+    } catch (err) {
+      const held = err instanceof ConflictError && await stillHeld().catch(() => false);
+      if (stopped) return;
+      if (!held) {
+        stopped = true;
+        onLost(err);
+        return;
+      }
+      if (client.config.verbose) console.error(`  Lease renewal on task ${id} was refused (${err.message}); task is still held`);
+    }
+    if (!stopped) timer = setTimeout(renew, interval);
+  };
+  timer = setTimeout(renew, interval);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+// ============================================================================
+// Event Subscriptions (WebSocket)
+// ============================================================================
+
+const SUBSCRIPTION_FILTER_KEYS = ['channels', 'task_types', 'event_types', 'assignee_ids', 'priority', 'min_priority', 'max_priority'];
+
+/**
+ * The subscribe frame for one subscription. Like taskPath, it is scoped to the
+ * configured org/project when project scope is in use.
+ */
+function subscriptionFrame(config, filters, id) {
+  const frame = { type: 'subscribe', id };
+  if (config.useProjectScope && config.organization && config.project) {
+    frame.org = config.organization;
+    frame.project = config.project;
+  }
+  for (const key of SUBSCRIPTION_FILTER_KEYS) {
+    const value = filters[key];
+    if (value !== null && value !== undefined && (!Array.isArray(value) || value.length > 0)) frame[key] = value;
+  }
+  return frame;
+}
+
+/**
+ * Open a WebSocket connection and subscribe to task events.
+ * Connection housekeeping messages (connected, subscribed, pong) are not forwarded.
+ * @param {object} config - Configuration with baseUrl and actor
+ * @param {object|object[]} filters - Subscription filters: { name, channels, task_types, event_types,
+ *   assignee_ids, priority, min_priority, max_priority }, or a list of named subscriptions
+ *   to open on the same connection
+ * @param {object} handlers - { onOpen, onEvent, onError, onClose } callbacks
+ * @returns {{ close: Function, isOpen: Function }}
+ */
+function subscribeEvents(config, filters, handlers = {}) {
+  if (typeof WebSocket === 'undefined') {
+    throw new Error('WebSocket is not available in this Node.js version (requires Node 22+)');
+  }
+
+  const wsUrl = config.baseUrl.replace('http', 'ws') + '/ws';
+  const params = new URLSearchParams({
+    actor_type: config.actor.type,
+    actor_id: config.actor.id,
+    actor_name: config.actor.name
+  });
+
+  // Node's WebSocket accepts extra handshake headers, which carries the API key
+  const ws = config.apiKey
+    ? new WebSocket(`${wsUrl}?${params}`, { headers: { Authorization: `Bearer ${config.apiKey}` } })
+    : new WebSocket(`${wsUrl}?${params}`);
+  let keepAlive = null;
+
+  ws.onopen = () => {
+    const subscriptions = Array.isArray(filters) ? filters : [filters];
+    subscriptions.forEach((sub, i) => {
+      ws.send(JSON.stringify(subscriptionFrame(config, sub, sub.name || `cli-sub-${i + 1}`)));
+    });
+
+    keepAlive = setInterval(() => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'ping' }));
+      }
+    }, 30000);
+
+    handlers.onOpen?.();
+  };
+
+  ws.onmessage = (event) => {
+    let msg;
+    try {
+      msg = JSON.parse(event.data);
+    } catch {
+      return; // Ignore malformed frames
+    }
+
+    if (msg.type === 'pong' || msg.type === 'connected' || msg.type === 'subscribed') {
+      return;
+    }
+    handlers.onEvent?.(msg);
+  };
+
+  ws.onerror = (err) => {
+    handlers.onError?.(err);
+  };
+
+  ws.onclose = () => {
+    clearInterval(keepAlive);
+    handlers.onClose?.();
+  };
+
+  return {
+    close: () => ws.close(),
+    isOpen: () => ws.readyState === WebSocket.OPEN
+  };
+}
+
+// ============================================================================
+// Output Formatting
+// ============================================================================
+
+const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv', 'tsv', 'yaml', 'markdown', 'template'];
+
+/**
+ * Parse --format. Templates are given inline: `template={{id}}\t{{title}}`.
+ * @returns {{ format: string, template: string|null }}
+ */
+function parseFormat(value) {
+  if (typeof value !== 'string' || value === '') {
+    throw new ValidationError(`Missing value for --format. Must be one of: ${OUTPUT_FORMATS.slice(0, -1).join(', ')}, template=<template>`);
+  }
+  if (value.startsWith('template=')) {
+    return { format: 'template', template: value.slice('template='.length) };
+  }
+  if (!OUTPUT_FORMATS.includes(value) || value === 'template') {
+    throw new Error(`Invalid format: "${value}". Must be one of: ${OUTPUT_FORMATS.slice(0, -1).join(', ')}, template=<template>`);
+  }
+  return { format: value, template: null };
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+// --- Color and text width ---
+
+const COLOR_MODES = ['auto', 'always', 'never'];
+
+/**
+ * Parse --color. A bare `--color` means always.
+ */
+function parseColorMode(value) {
+  if (value === undefined || value === null) return 'auto';
+  if (value === true) return 'always';
+  if (!COLOR_MODES.includes(value)) {
+    throw new Error(`Invalid color mode: "${value}". Must be one of: ${COLOR_MODES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * In `auto` mode, color only a terminal, and honor NO_COLOR (https://no-color.org).
+ */
+function shouldUseColor(mode, stream = process.stdout) {
+  if (mode === 'always') return true;
+  if (mode === 'never') return false;
+  return !!stream.isTTY && !process.env.NO_COLOR && process.env.TERM !== 'dumb';
+}
+
+// Set from --color in main(); off when imported as a library
+let colorEnabled = false;
+
+function paint(code, text) {
+  return colorEnabled ? `\x1b[${code}m${text}\x1b[0m` : String(text);
+}
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+const stripAnsi = (text) => text.replace(ANSI_PATTERN, '');
+
+// East Asian wide and fullwidth ranges, plus emoji, which take two terminal cells
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff],
+  [0xa000, 0xa4cf], [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe30, 0xfe4f], [0xff00, 0xff60],
+  [0xffe0, 0xffe6], [0x1f300, 0x1f64f], [0x1f680, 0x1f6ff], [0x1f900, 0x1f9ff], [0x1fa70, 0x1faff],
+  [0x20000, 0x3fffd]
+];
+
+function charWidth(char) {
+  const code = char.codePointAt(0);
+  // Control characters, combining marks, zero-width joiners and variation selectors
+  if (code < 0x20 || (code >= 0x7f && code < 0xa0) || /^[\p{M}\u200b-\u200f\ufe00-\ufe0f]$/u.test(char)) return 0;
+  return WIDE_RANGES.some(([from, to]) => code >= from && code <= to) ? 2 : 1;
+}
+
+/**
+ * Terminal cells a string occupies, ignoring ANSI escapes.
+ */
+function textWidth(text) {
+  let width = 0;
+  for (const char of stripAnsi(text)) width += charWidth(char);
+  return width;
+}
+
+/**
+ * Cut text to `width` cells, ending in an ellipsis. Escapes are kept, and a
+ * reset is added if the cut could leave a color open.
+ */
+function truncateText(text, width) {
+  if (textWidth(text) <= width) return text;
+  let out = '';
+  let used = 0;
+  let colored = false;
+  for (const part of text.split(/(\x1b\[[0-9;]*m)/)) {
+    if (part.startsWith('\x1b[')) {
+      out += part;
+      colored = true;
+      continue;
+    }
+    for (const char of part) {
+      const w = charWidth(char);
+      if (used + w > width - 1) return `${out}…${colored ? '\x1b[0m' : ''}`;
+      out += char;
+      used += w;
+    }
+  }
+  return out;
+}
+
+/**
+ * Break text into lines of at most `width` cells, at spaces where possible.
+ */
+function wrapText(text, width) {
+  const lines = [];
+  let line = '';
+  for (const word of stripAnsi(text).split(' ')) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (textWidth(candidate) <= width) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = word;
+    // Words longer than the column are split across lines
+    while (textWidth(line) > width) {
+      let head = '';
+      for (const char of line) {
+        if (textWidth(head + char) > width) break;
+        head += char;
+      }
+      lines.push(head);
+      line = line.slice(head.length);
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+const MIN_COLUMN_WIDTH = 6;
+const COLUMN_GAP = 2;
+
+/**
+ * Shrink column widths to fit `maxWidth`, narrowing the widest column first.
+ * Columns never go below their header or MIN_COLUMN_WIDTH, so very narrow
+ * terminals may still overflow.
+ */
+function fitWidths(widths, minimums, maxWidth) {
+  const fitted = [...widths];
+  if (!maxWidth) return fitted;
+  const floors = fitted.map((width, i) => Math.min(width, Math.max(minimums[i], MIN_COLUMN_WIDTH)));
+  let excess = fitted.reduce((sum, width) => sum + width, 0) + COLUMN_GAP * (fitted.length - 1) - maxWidth;
+
+  while (excess > 0) {
+    let widest = -1;
+    for (let i = 0; i < fitted.length; i++) {
+      if (fitted[i] > floors[i] && (widest === -1 || fitted[i] > fitted[widest])) widest = i;
+    }
+    if (widest === -1) break;
+    fitted[widest]--;
+    excess--;
+  }
+  return fitted;
+}
+
+/**
+ * Cell text as shown in tables, using the column's formatter.
+ */
+function displayValue(col, row) {
+  const value = getPath(row, col.key);
+  if (col.format) return String(col.format(value, row));
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return String(value ?? '');
+}
+
+/**
+ * Cell text for machine-readable formats: the unformatted value, objects as JSON.
+ */
+function rawValue(row, path) {
+  const value = getPath(row, path);
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Print rows as an aligned table. Widths are measured in terminal cells, and on
+ * a terminal the table is fitted to its width: long cells are cut with an
+ * ellipsis, or wrapped onto extra lines with `wrap`.
+ * @param {object} opts - { wrap: boolean, width: number } (width defaults to the terminal's)
+ */
+function formatTable(data, columns, opts = {}) {
+  if (!Array.isArray(data)) data = [data];
+  if (data.length === 0) {
+    console.log('No results found.');
+    return;
+  }
+
+  const maxWidth = opts.width ?? (process.stdout.isTTY ? process.stdout.columns : null);
+  const cells = data.map(row => columns.map(col => displayValue(col, row).replace(/\s*[\r\n]+\s*/g, ' ')));
+  const labelWidths = columns.map(col => textWidth(col.label));
+  const natural = labelWidths.map((width, i) => Math.max(width, ...cells.map(rowCells => textWidth(rowCells[i]))));
+  const widths = fitWidths(natural, labelWidths, maxWidth);
+  const pad = (text, i) => text + ' '.repeat(Math.max(0, widths[i] - textWidth(text)));
+
+  // Print header
+  console.log(columns.map((col, i) => pad(truncateText(col.label, widths[i]), i)).join('  '));
+  console.log(widths.map(width => '─'.repeat(width)).join('──'));
+
+  // Print rows
+  for (const rowCells of cells) {
+    const lines = rowCells.map((text, i) => opts.wrap && textWidth(text) > widths[i]
+      ? wrapText(text, widths[i])
+      : [truncateText(text, widths[i])]);
+    const height = Math.max(...lines.map(cellLines => cellLines.length));
+    for (let line = 0; line < height; line++) {
+      console.log(lines.map((cellLines, i) => pad(cellLines[line] ?? '', i)).join('  '));
+    }
+  }
+}
+
+function formatDelimited(rows, columns, separator) {
+  const escape = separator === ','
+    // RFC 4180: quote fields containing the separator, quotes or line breaks
+    ? (text) => /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    // TSV has no quoting, so tabs and line breaks become spaces
+    : (text) => text.replace(/[\t\r\n]+/g, ' ');
+  console.log(columns.map(col => escape(col.key)).join(separator));
+  for (const row of rows) {
+    console.log(columns.map(col => escape(rawValue(row, col.key))).join(separator));
+  }
+}
+
+function formatMarkdown(rows, columns) {
+  const escape = (text) => stripAnsi(text).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  console.log(`| ${columns.map(col => escape(col.label)).join(' | ')} |`);
+  console.log(`| ${columns.map(() => '---').join(' | ')} |`);
+  for (const row of rows) {
+    console.log(`| ${columns.map(col => escape(displayValue(col, row))).join(' | ')} |`);
+  }
+}
+
+/**
+ * Fill `{{path}}` placeholders (dotted paths reach into payload, outputs, etc.).
+ * `\t` and `\n` are unescaped so templates can be written in single quotes.
+ */
+function renderTemplate(template, row) {
+  return template
+    .replace(/\\([tn\\])/g, (match, c) => ({ t: '\t', n: '\n', '\\': '\\' })[c])
+    .replace(/\{\{\s*([^}\s]+)\s*\}\}/g, (match, path) => rawValue(row, path));
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value !== 'string') return String(value);
+  // Quote anything YAML would read as another type or as syntax
+  const plain = value !== ''
+    && !/^[\s\-?:,[\]{}#&*!|>'"%@`]|:\s|\s#|\s$|:$|[\n\r\t]/.test(value)
+    && !/^(true|false|yes|no|on|off|null|~|[-+.]?\d.*)$/i.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+function toYaml(value, indent = '') {
+  const nested = (item) => item !== null && typeof item === 'object' && Object.keys(item).length > 0;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return `${indent}[]`;
+    return value.map(item => `${indent}- ${nested(item) ? toYaml(item, `${indent}  `).trimStart() : yamlScalar(item)}`).join('\n');
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return `${indent}{}`;
+    return entries.map(([key, item]) => {
+      const name = /^[A-Za-z_][\w.-]*$/.test(key) ? key : JSON.stringify(key);
+      if (nested(item)) return `${indent}${name}:\n${toYaml(item, `${indent}  `)}`;
+      if (Array.isArray(item)) return `${indent}${name}: []`;
+      if (item !== null && typeof item === 'object') return `${indent}${name}: {}`;
+      return `${indent}${name}: ${yamlScalar(item)}`;
+    }).join('\n');
+  }
+  return `${indent}${yamlScalar(value)}`;
+}
+
+/**
+ * Resolve --columns against a command's column set. Keys outside the set are
+ * allowed when they are dotted paths (payload.pr) or fields the rows have.
+ */
+function selectColumns(columns, keys, rows) {
+  const unknown = keys.filter(key => !columns?.some(col => col.key === key)
+    && !key.includes('.') && !rows.some(row => row && key in row));
+  if (unknown.length > 0 && rows.length > 0) {
+    const available = columns || inferColumns(rows);
+    throw new Error(`Unknown column: ${unknown.join(', ')}. Available: ${available.map(col => col.key).join(', ')}`);
+  }
+  return keys.map(key => columns?.find(col => col.key === key) || { key, label: key });
+}
+
+function inferColumns(rows) {
+  const keys = new Set();
+  for (const row of rows) {
+    if (row && typeof row === 'object') Object.keys(row).forEach(key => keys.add(key));
+  }
+  return [...keys].map(key => ({ key, label: key }));
+}
+
+/**
+ * Print command output in the configured format (`config.format`, with
+ * `config.template` and `config.columns`). `columns` is the command's column
+ * set; it shapes tables, CSV/TSV and Markdown, and --columns picks from it.
+ */
+function formatOutput(data, config, columns = null) {
+  const { format } = config;
+  const rows = Array.isArray(data) ? data : [data];
+  const selected = config.columns ? selectColumns(columns, config.columns, rows) : columns;
+  const project = (row) => Object.fromEntries(selected.map(col => [col.key, getPath(row, col.key) ?? null]));
+  // Structured formats keep whole records unless --columns asks for fewer fields
+  const records = config.columns ? (Array.isArray(data) ? data.map(project) : project(data)) : data;
+
+  if (format === 'json') {
+    console.log(JSON.stringify(records, null, 2));
+  } else if (format === 'ndjson') {
+    // One compact JSON document per line, for streaming into jq or log pipelines
+    for (const item of Array.isArray(records) ? records : [records]) console.log(JSON.stringify(item));
+  } else if (format === 'yaml') {
+    console.log(toYaml(JSON.parse(JSON.stringify(records ?? null))));
+  } else if (format === 'csv' || format === 'tsv') {
+    formatDelimited(rows, selected || inferColumns(rows), format === 'csv' ? ',' : '\t');
+  } else if (format === 'markdown') {
+    formatMarkdown(rows, selected || inferColumns(rows));
+  } else if (format === 'template') {
+    for (const row of rows) console.log(renderTemplate(config.template, row));
+  } else if (selected) {
+    formatTable(data, selected, { wrap: config.wrap });
   } else {
-    for (const [channel, count] of channels) {
-      console.log(`│   ${channel.padEnd(20)} ${count}`);
+    console.log(JSON.stringify(data, null, 2));
+  }
+}
+
+function formatTimestamp(ts) {
+  if (!ts) return '';
+  const d = new Date(ts);
+  return d.toLocaleString();
+}
+
+function formatStatus(status) {
+  const colors = {
+    pending: 33,     // yellow
+    in_progress: 36, // cyan
+    completed: 32,   // green
+    cancelled: 90,   // gray
+    failed: 31,      // red
+    rejected: 35     // magenta
+  };
+  return colors[status] ? paint(colors[status], status) : String(status);
+}
+
+function formatPriority(p) {
+  if (p >= 8) return paint(31, p);  // red for high
+  if (p >= 5) return paint(33, p);  // yellow for medium
+  return paint(32, p);              // green for low
+}
+
+// ============================================================================
+// Input
+// ============================================================================
+
+/**
+ * Read all of stdin as a string (for piped input such as API keys or task IDs).
+ */
+async function readStdin() {
+  let data = '';
+  for await (const chunk of process.stdin) data += chunk;
+  return data;
+}
+
+/**
+ * Ask a question on the terminal and return the trimmed answer.
+ * Returns null when stdin is not a TTY (scripts must pass explicit flags instead).
+ */
+async function prompt(question) {
+  if (!process.stdin.isTTY) return null;
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return (await rl.question(question)).trim();
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Ask a yes/no question; anything but "y"/"yes" (or no TTY) means no.
+ */
+async function confirm(question) {
+  const answer = await prompt(`${question} [y/N] `);
+  return /^y(es)?$/i.test(answer || '');
+}
+
+// ============================================================================
+// Task Columns
+// ============================================================================
+
+const TASK_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'title', label: 'Title' },
+  { key: 'status', label: 'Status', format: formatStatus },
+  { key: 'priority', label: 'Pri', format: formatPriority },
+  { key: 'type', label: 'Type' },
+  { key: 'channel', label: 'Channel' },
+  { key: 'assignee_name', label: 'Assignee' },
+  { key: 'created_at', label: 'Created', format: formatTimestamp }
+];
+
+const TASK_DETAIL_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'title', label: 'Title' },
+  { key: 'status', label: 'Status', format: formatStatus },
+  { key: 'priority', label: 'Priority', format: formatPriority },
+  { key: 'type', label: 'Type' },
+  { key: 'channel', label: 'Channel' },
+  { key: 'source_name', label: 'Source' },
+  { key: 'assignee_name', label: 'Assignee' },
+  { key: 'created_at', label: 'Created', format: formatTimestamp },
+  { key: 'updated_at', label: 'Updated', format: formatTimestamp }
+];
+
+const EVENT_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'type', label: 'Event Type' },
+  { key: 'task_id', label: 'Task' },
+  { key: 'actor_name', label: 'Actor', format: (v, row) => actorLabel(row) },
+  { key: 'channel', label: 'Channel' },
+  { key: 'created_at', label: 'Time', format: formatTimestamp }
+];
+
+const TIMELINE_COLUMNS = [
+  { key: 'at', label: 'Time', format: formatTimestamp },
+  { key: 'type', label: 'Entry' },
+  { key: 'actor', label: 'Actor' },
+  { key: 'details', label: 'Details' }
+];
+
+const MESSAGE_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'actor_name', label: 'From' },
+  { key: 'parts', label: 'Content', format: (parts) => {
+    if (!parts || !parts.length) return '';
+    const first = parts[0];
+    if (first.type === 'text') return first.content || '';
+    return `[${first.type}]`;
+  }},
+  { key: 'created_at', label: 'Time', format: formatTimestamp }
+];
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+const commands = {};
+
+// --- Health ---
+commands.health = async function(args, config) {
+  const data = await clientFor(config).health();
+  console.log(`✓ Service is ${data.status}`);
+  console.log(`  Timestamp: ${data.timestamp}`);
+};
+
+// --- Stats ---
+
+const STATS_COLUMNS = [
+  { key: 'metric', label: 'Metric' },
+  { key: 'value', label: 'Value' }
+];
+
+/**
+ * Flatten the stats object into metric/value rows (`by_status.pending`, `recent.created_24h`).
+ */
+function statsRows(stats, prefix = '') {
+  return Object.entries(stats).flatMap(([key, value]) => value !== null && typeof value === 'object'
+    ? statsRows(value, `${prefix}${key}.`)
+    : [{ metric: `${prefix}${key}`, value }]);
+}
+
+commands.stats = async function(args, config) {
+  const stats = await clientFor(config).tasks.stats();
+
+  if (['csv', 'tsv', 'markdown'].includes(config.format)) {
+    formatOutput(statsRows(stats), config, STATS_COLUMNS);
+    return;
+  }
+  if (config.format !== 'table') {
+    formatOutput(stats, config);
+    return;
+  }
+
+  // Pretty print stats
+  console.log('\n┌─ Task Statistics ──────────────────────────────────');
+  console.log(`│ Total Tasks:          ${stats.total}`);
+  console.log('├─ By Status ────────────────────────────────────────');
+
+  const statusOrder = ['pending', 'in_progress', 'completed', 'cancelled', 'failed', 'rejected'];
+  for (const status of statusOrder) {
+    const count = stats.by_status[status] || 0;
+    if (count > 0 || status === 'pending' || status === 'in_progress' || status === 'completed') {
+      console.log(`│   ${formatStatus(status).padEnd(20)} ${count}`);
+    }
+  }
+
+  console.log('├─ By Channel ───────────────────────────────────────');
+  const channels = Object.entries(stats.by_channel || {}).slice(0, 5);
+  if (channels.length === 0) {
+    console.log('│   (none)');
+  } else {
+    for (const [channel, count] of channels) {
+      console.log(`│   ${channel.padEnd(20)} ${count}`);
+    }
+  }
+
+  console.log('├─ Performance ──────────────────────────────────────');
+  const avgMinutes = stats.avg_completion_seconds ? (stats.avg_completion_seconds / 60).toFixed(1) : 0;
+  console.log(`│   Avg Completion:     ${avgMinutes} minutes`);
+  console.log(`│   Completed Tasks:    ${stats.completed_count}`);
+
+  console.log('├─ Recent Activity ──────────────────────────────────');
+  console.log(`│   Created (24h):      ${stats.recent?.created_24h || 0}`);
+  console.log(`│   Completed (24h):    ${stats.recent?.completed_24h || 0}`);
+  console.log(`│   Created (7d):       ${stats.recent?.created_7d || 0}`);
+  console.log(`│   Completed (7d):     ${stats.recent?.completed_7d || 0}`);
+  console.log('└────────────────────────────────────────────────────\n');
+};
+
+// --- Task Commands ---
+
+/**
+ * The priority for `ats create`: --priority, then the template's, then 5.
+ */
+function createPriority(option, templatePriority, templateName) {
+  if (option) return parseTaskPriority(option);
+  if (templatePriority === undefined || templatePriority === null) return 5;
+  try {
+    return parseTaskPriority(templatePriority);
+  } catch (err) {
+    throw new Error(`Invalid priority in template "${templateName}": ${JSON.stringify(templatePriority)}. ${err.message}`);
+  }
+}
+
+commands.create = async function(args, config) {
+  const { positional, options } = args;
+  // Template fields are defaults; explicit options still win
+  const template = options.template
+    ? applyTemplate(loadTemplate(options.template), parseTemplateVars(args.lists.var || []))
+    : {};
+  const title = positional[0] || options.title || template.title;
+
+  if (!title) {
+    console.error('Error: Title is required');
+    console.error('Usage: ats create <title> [options]');
+    console.error('  --type <type>        Task type');
+    console.error('  --channel <channel>  Task channel');
+    console.error('  --priority <1-10>    Priority (default: 5)');
+    console.error('  --description <text> Task description');
+    console.error('  --payload <json>     Task payload as JSON');
+    console.error('  --template <name>    Start from a task template (see ats template list)');
+    console.error('  --var <name>=<value> Template variable (repeatable)');
+    console.error('  --idempotency-key <key>  Reuse a key so a rerun does not create a duplicate');
+    process.exit(1);
+  }
+
+  const body = {
+    title,
+    type: options.type || template.type || 'task',
+    channel: options.channel ? config.channel : template.channel || config.channel,
+    priority: createPriority(options.priority, template.priority, options.template),
+    description: options.description ?? template.description,
+    payload: options.payload ? JSON.parse(options.payload) : template.payload
+  };
+
+  const task = await clientFor(config).tasks.create(body, { idempotencyKey: options['idempotency-key'] });
+  // Other formats print only the task, so stdout stays parseable
+  if (config.format === 'table') console.log(`✓ Task created with ID: ${task.id}`);
+  formatOutput(task, config, TASK_DETAIL_COLUMNS);
+};
+
+commands.get = async function(args, config) {
+  const id = args.positional[0] || args.options.id;
+  if (!id) {
+    console.error('Error: Task ID is required');
+    console.error('Usage: ats get <id>');
+    process.exit(1);
+  }
+
+  const task = await clientFor(config).tasks.get(id);
+
+  if (config.format !== 'table') {
+    formatOutput(task, config, TASK_DETAIL_COLUMNS);
+  } else {
+    // Pretty print task details
+    console.log('\n┌─ Task Details ─────────────────────────────────────');
+    console.log(`│ ID:          ${task.id}`);
+    console.log(`│ Title:       ${task.title}`);
+    console.log(`│ Status:      ${formatStatus(task.status)}`);
+    console.log(`│ Priority:    ${formatPriority(task.priority)}`);
+    console.log(`│ Type:        ${task.type || '-'}`);
+    console.log(`│ Channel:     ${task.channel || '-'}`);
+    console.log(`│ Source:      ${task.source_name || '-'} (${task.source_type || '-'})`);
+    console.log(`│ Assignee:    ${task.assignee_name || '-'} (${task.assignee_type || '-'})`);
+    console.log(`│ Created:     ${formatTimestamp(task.created_at)}`);
+    console.log(`│ Updated:     ${formatTimestamp(task.updated_at)}`);
+    if (task.lease_expires) {
+      console.log(`│ Lease:       ${formatTimestamp(task.lease_expires)}`);
+    }
+    console.log('├─ Description ──────────────────────────────────────');
+    console.log(`│ ${task.description || '(no description)'}`);
+    if (task.payload && Object.keys(task.payload).length > 0) {
+      console.log('├─ Payload ─────────────────────────────────────────');
+      console.log(`│ ${JSON.stringify(task.payload, null, 2).split('\n').join('\n│ ')}`);
+    }
+    if (task.outputs && task.outputs.length > 0) {
+      console.log('├─ Outputs ─────────────────────────────────────────');
+      console.log(`│ ${JSON.stringify(task.outputs, null, 2).split('\n').join('\n│ ')}`);
+    }
+    if (task.messages && task.messages.length > 0) {
+      console.log('├─ Messages ────────────────────────────────────────');
+      for (const msg of task.messages) {
+        const content = msg.parts?.[0]?.content || '[non-text]';
+        console.log(`│ [${msg.actor_name}] ${content}`);
+      }
+    }
+    console.log('└────────────────────────────────────────────────────\n');
+  }
+};
+
+/**
+ * Query parameters for the task list endpoint from `ats list` filter options.
+ * Shared by `list` and `bulk` so both select tasks the same way.
+ */
+function taskListParams(args) {
+  const { options, flags } = args;
+  const params = {};
+
+  // Default to pending unless --all or explicit --status is provided
+  const showAll = flags.all || options.all;
+  if (options.status) {
+    params.status = options.status;
+  } else if (!showAll) {
+    params.status = 'pending';
+  }
+
+  if (options.type) params.type = options.type;
+  if (options.channel) params.channel = options.channel;
+  if (options.assignee) params.assignee_id = options.assignee;
+  if (options.limit) params.limit = options.limit;
+  if (options.offset) params.offset = options.offset;
+
+  // --since / -S → created_after
+  const since = options.since || options.S;
+  if (since) params.created_after = parseTimeString(since);
+
+  // --updated-since → updated_after
+  if (options['updated-since']) params.updated_after = parseTimeString(options['updated-since']);
+
+  // --priority / -p → priority, min_priority, max_priority
+  const priorityInput = options.p || options.priority;
+  if (priorityInput) Object.assign(params, parsePriority(priorityInput));
+
+  // --search / -q → search
+  const search = options.search || options.q;
+  if (search) params.search = search;
+
+  // --sort → sort_by + sort_dir
+  if (options.sort) {
+    const sortField = parseSortField(options.sort);
+    params.sort_by = sortField;
+    const defaultDir = sortField === 'title' ? 'asc' : 'desc';
+    params.sort_dir = (flags.reverse || flags.r) ? (defaultDir === 'desc' ? 'asc' : 'desc') : defaultDir;
+  } else if (flags.reverse || flags.r) {
+    params.sort_dir = 'asc';
+  }
+
+  // --project-id → project_id
+  if (options['project-id']) params.project_id = options['project-id'];
+
+  return params;
+}
+
+commands.list = async function(args, config) {
+  const { options, flags } = args;
+  const showAll = flags.all || options.all;
+  const { tasks, count } = await clientFor(config).tasks.list(taskListParams(args));
+
+  if (config.format !== 'table') {
+    formatOutput(tasks, config, TASK_COLUMNS);
+    return;
+  }
+  if (tasks.length === 0) {
+    if (!showAll && !options.status) {
+      console.log('No pending tasks. Use --all to see all tasks.');
+    } else {
+      console.log('No tasks found.');
+    }
+    return;
+  }
+
+  formatOutput(tasks, config, TASK_COLUMNS);
+  const statusNote = !showAll && !options.status ? ' (pending only, use --all for all)' : '';
+  console.log(`\n${count} task(s) found${statusNote}`);
+};
+
+commands.update = async function(args, config) {
+  const id = args.positional[0] || args.options.id;
+  if (!id) {
+    console.error('Error: Task ID is required');
+    console.error('Usage: ats update <id> [options]');
+    process.exit(1);
+  }
+
+  const { options } = args;
+  const body = {};
+
+  if (options.title) body.title = options.title;
+  if (options.description) body.description = options.description;
+  if (options.priority) body.priority = parseTaskPriority(options.priority);
+  if (options.status) body.status = options.status;
+  if (options.type) body.type = options.type;
+  if (options.channel) body.channel = options.channel;
+  if (options.payload) body.payload = JSON.parse(options.payload);
+
+  if (Object.keys(body).length === 0) {
+    console.error('Error: No updates specified');
+    process.exit(1);
+  }
+
+  const task = await clientFor(config).tasks.update(id, body);
+  if (config.format === 'table') console.log(`✓ Task ${id} updated`);
+  formatOutput(task, config, TASK_DETAIL_COLUMNS);
+};
+
+commands.claim = async function(args, config) {
+  const id = args.positional[0] || args.options.id;
+  if (!id) {
+    console.error('Error: Task ID is required');
+    console.error('Usage: ats claim <id> [--lease <duration_ms>] [--idempotency-key <key>]');
+    process.exit(1);
+  }
+
+  const task = await clientFor(config).tasks.claim(id, {
+    lease: args.options.lease ? parseInt(args.options.lease, 10) : null,
+    idempotencyKey: args.options['idempotency-key']
+  });
+  console.log(`✓ Task ${id} claimed`);
+  console.log(`  Assignee: ${task.assignee_name}`);
+  console.log(`  Lease expires: ${formatTimestamp(task.lease_expires)}`);
+};
+
+commands.complete = async function(args, config) {
+  const id = args.positional[0] || args.options.id;
+  if (!id) {
+    console.error('Error: Task ID is required');
+    console.error('Usage: ats complete <id> [--outputs <json>] [--idempotency-key <key>]');
+    process.exit(1);
+  }
+
+  const outputs = args.options.outputs ? JSON.parse(args.options.outputs) : null;
+  await clientFor(config).tasks.complete(id, outputs, { idempotencyKey: args.options['idempotency-key'] });
+  console.log(`✓ Task ${id} completed`);
+};
+
+commands.cancel = async function(args, config) {
+  const id = args.positional[0] || args.options.id;
+  if (!id) {
+    console.error('Error: Task ID is required');
+    console.error('Usage: ats cancel <id>');
+    process.exit(1);
+  }
+
+  await clientFor(config).tasks.cancel(id);
+  console.log(`✓ Task ${id} cancelled`);
+};
+
+commands.fail = async function(args, config) {
+  const id = args.positional[0] || args.options.id;
+  if (!id) {
+    console.error('Error: Task ID is required');
+    console.error('Usage: ats fail <id> [--reason <text>]');
+    process.exit(1);
+  }
+
+  await clientFor(config).tasks.fail(id, args.options.reason);
+  console.log(`✓ Task ${id} marked as failed`);
+};
+
+commands.reject = async function(args, config) {
+  const id = args.positional[0] || args.options.id;
+  if (!id) {
+    console.error('Error: Task ID is required');
+    console.error('Usage: ats reject <id> [--reason <text>]');
+    process.exit(1);
+  }
+
+  await clientFor(config).tasks.reject(id, args.options.reason);
+  console.log(`✓ Task ${id} rejected`);
+};
+
+commands.reopen = async function(args, config) {
+  const id = args.positional[0] || args.options.id;
+  if (!id) {
+    console.error('Error: Task ID is required');
+    console.error('Usage: ats reopen <id> [--reason <text>]');
+    process.exit(1);
+  }
+
+  await clientFor(config).tasks.reopen(id, args.options.reason);
+  console.log(`✓ Task ${id} reopened`);
+};
+
+// --- Template Commands ---
+
+const TEMPLATE_FIELDS = ['title', 'description', 'type', 'channel', 'priority', 'payload', 'variables'];
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Template directories, nearest first: .ats/templates in the current directory
+ * and its ancestors (the walk used for .ats/config), then ~/.ats/templates.
+ */
+function templateDirs() {
+  return [...projectDirs().map(dir => join(dir, PROJECT_TEMPLATES_NAME)), GLOBAL_TEMPLATES_DIR];
+}
+
+function readTemplate(name, path) {
+  let template;
+  try {
+    template = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid template ${path}: ${err.message}`);
+  }
+  const unknown = Object.keys(template).filter(key => !TEMPLATE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid template ${path}: unknown field(s) ${unknown.join(', ')}. Allowed: ${TEMPLATE_FIELDS.join(', ')}`);
+  }
+  return { name, path, template };
+}
+
+/**
+ * Every template, with nearer ones hiding global ones of the same name. Invalid
+ * template files are reported and skipped; they still hide farther ones, as
+ * they do for `ats create --template`.
+ * @returns {{ name: string, path: string, template: object }[]}
+ */
+function listTemplates() {
+  const found = new Map();
+  for (const dir of templateDirs()) {
+    if (!existsSync(dir)) continue;
+    for (const file of readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+      const name = file.slice(0, -'.json'.length);
+      if (found.has(name)) continue;
+      try {
+        found.set(name, readTemplate(name, join(dir, file)));
+      } catch (err) {
+        console.error(`Warning: ${err.message} (skipped)`);
+        found.set(name, null);
+      }
+    }
+  }
+  return [...found.values()].filter(Boolean);
+}
+
+function loadTemplate(name) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error(`Invalid template name: "${name}". Use letters, digits, dots, dashes and underscores`);
+  }
+  for (const dir of templateDirs()) {
+    const path = join(dir, `${name}.json`);
+    if (existsSync(path)) return readTemplate(name, path);
+  }
+  throw new Error(`Template not found: "${name}". Run "ats template list" to see available templates`);
+}
+
+/**
+ * Parse `--var name=value` options. Values may contain "=" and commas.
+ */
+function parseTemplateVars(specs) {
+  const vars = {};
+  for (const spec of specs) {
+    const index = spec.indexOf('=');
+    if (index <= 0) throw new Error(`Invalid --var: "${spec}". Use <name>=<value>`);
+    vars[spec.slice(0, index)] = spec.slice(index + 1);
+  }
+  return vars;
+}
+
+/**
+ * Placeholder names used anywhere in a value (strings, arrays, object values).
+ */
+function templatePlaceholders(value, names = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER_PATTERN)) names.add(match[1]);
+  } else if (value !== null && typeof value === 'object') {
+    Object.values(value).forEach(item => templatePlaceholders(item, names));
+  }
+  return names;
+}
+
+function fillPlaceholders(value, vars) {
+  if (typeof value === 'string') return value.replace(PLACEHOLDER_PATTERN, (match, name) => vars[name]);
+  if (Array.isArray(value)) return value.map(item => fillPlaceholders(item, vars));
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, vars)]));
+  }
+  return value;
+}
+
+/**
+ * Template variables with their defaults. `variables` maps a name to a default
+ * string or to { default, description }; placeholders not listed there are required.
+ */
+function templateVariables(template) {
+  const declared = Object.entries(template.variables || {}).map(([name, spec]) => ({
+    name,
+    default: typeof spec === 'object' && spec !== null ? spec.default ?? null : spec ?? null,
+    description: typeof spec === 'object' && spec !== null ? spec.description ?? null : null
+  }));
+  const { variables, ...fields } = template;
+  const used = [...templatePlaceholders(fields)]
+    .filter(name => !declared.some(variable => variable.name === name))
+    .map(name => ({ name, default: null, description: null }));
+  return [...declared, ...used];
+}
+
+/**
+ * Fill a template's placeholders, reporting every missing variable at once.
+ * @param {{ name: string, template: object }} loaded - From loadTemplate
+ * @param {object} vars - Values from --var
+ * @returns {object} Task fields: title, description, type, channel, priority, payload
+ */
+function applyTemplate({ name, template }, vars) {
+  const variables = templateVariables(template);
+  const values = { ...Object.fromEntries(variables.filter(v => v.default !== null).map(v => [v.name, String(v.default)])), ...vars };
+
+  const missing = variables.filter(v => values[v.name] === undefined).map(v => v.name);
+  if (missing.length > 0) {
+    throw new Error(`Missing variable(s) for template "${name}": ${missing.join(', ')}. Pass them with --var <name>=<value>`);
+  }
+  const unknown = Object.keys(vars).filter(key => !variables.some(v => v.name === key));
+  if (unknown.length > 0) {
+    console.error(`Warning: template "${name}" does not use: ${unknown.join(', ')}`);
+  }
+
+  const { variables: _, ...fields } = template;
+  return fillPlaceholders(fields, values);
+}
+
+const TEMPLATE_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'type', label: 'Type' },
+  { key: 'channel', label: 'Channel' },
+  { key: 'priority', label: 'Pri' },
+  { key: 'variables', label: 'Variables' },
+  { key: 'path', label: 'Location' }
+];
+
+commands.template = {
+  async list(args, config) {
+    const rows = listTemplates().map(({ name, path, template }) => ({
+      name,
+      type: template.type ?? null,
+      channel: template.channel ?? null,
+      priority: template.priority ?? null,
+      variables: templateVariables(template).map(v => v.default === null ? v.name : `${v.name}=${v.default}`).join(', '),
+      path
+    }));
+
+    if (config.format !== 'table') {
+      formatOutput(rows, config, TEMPLATE_COLUMNS);
+      return;
+    }
+    if (rows.length === 0) {
+      console.log('No templates found. Create one with: ats template new <name>');
+      return;
+    }
+    formatOutput(rows, config, TEMPLATE_COLUMNS);
+    console.log(`\n${rows.length} template(s)`);
+  },
+
+  async show(args, config) {
+    const name = args.positional[0];
+    if (!name) {
+      console.error('Error: Template name is required');
+      console.error('Usage: ats template show <name>');
+      process.exit(1);
+    }
+
+    const { path, template } = loadTemplate(name);
+    const variables = templateVariables(template);
+
+    if (config.format !== 'table') {
+      formatOutput({ name, path, template, variables }, config);
+      return;
+    }
+    console.log(`\n─── Template ${name} (${path}) ───\n`);
+    console.log(JSON.stringify(template, null, 2));
+    if (variables.length > 0) {
+      console.log('\nVariables:');
+      for (const variable of variables) {
+        const detail = [variable.default === null ? 'required' : `default: ${variable.default}`, variable.description].filter(Boolean);
+        console.log(`  ${variable.name} (${detail.join('; ')})`);
+      }
+    }
+    console.log(`\nUse: ats create --template ${name}${variables.filter(v => v.default === null).map(v => ` --var ${v.name}=...`).join('')}`);
+  },
+
+  async new(args, config) {
+    const { positional, options, flags } = args;
+    const name = positional[0];
+    if (!name) {
+      console.error('Error: Template name is required');
+      console.error('Usage: ats template new <name> [options]');
+      console.error('  --title <text>       Task title, may use {{variables}} (default: "<name>: {{summary}}")');
+      console.error('  --type, --channel, --priority, --description, --payload   Task fields');
+      console.error('  --global             Save to ~/.ats/templates instead of the project');
+      console.error('  --force              Overwrite an existing template');
+      process.exit(1);
+    }
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new Error(`Invalid template name: "${name}". Use letters, digits, dots, dashes and underscores`);
+    }
+
+    const template = { title: options.title || `${name}: {{summary}}` };
+    if (options.description) template.description = options.description;
+    if (options.type) template.type = options.type;
+    if (options.channel) template.channel = options.channel;
+    if (options.priority) template.priority = parseTaskPriority(options.priority);
+    if (options.payload) template.payload = JSON.parse(options.payload);
+
+    // Next to the project config in use, so the template is shared with the project
+    const projectConfig = findProjectConfig();
+    const dir = flags.global
+      ? GLOBAL_TEMPLATES_DIR
+      : join(projectConfig ? dirname(dirname(projectConfig.path)) : process.cwd(), PROJECT_TEMPLATES_NAME);
+    const path = join(dir, `${name}.json`);
+    if (existsSync(path) && !flags.force) {
+      throw new Error(`Template already exists: ${path}. Pass --force to overwrite it`);
+    }
+
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(path, JSON.stringify(template, null, 2) + '\n');
+    console.log(`✓ Template ${name} saved to ${path}`);
+    console.log(`  Edit it to add fields, payload and variable defaults, then: ats create --template ${name}`);
+  }
+};
+
+// --- Bulk Commands ---
+
+const BULK_CONCURRENCY = 5;
+const BULK_CONFIRM_THRESHOLD = 10;
+const BULK_UPDATE_FIELDS = ['title', 'description', 'priority', 'status', 'type', 'channel', 'payload'];
+// Filters that select tasks for `bulk`; without one of these (or IDs) nothing is selected
+const BULK_FILTER_KEYS = ['status', 'all', 'type', 'channel', 'assignee', 'since', 'S', 'updated-since',
+  'priority', 'p', 'search', 'q', 'project-id'];
+
+/**
+ * What each bulk action does, and to tasks in which statuses. Tasks in other
+ * statuses are skipped rather than sent to the server to fail.
+ */
+const BULK_ACTIONS = {
+  cancel: {
+    statuses: ['pending', 'in_progress'],
+    to: 'cancelled',
+    run: (client, task) => client.tasks.cancel(task.id)
+  },
+  fail: {
+    statuses: ['in_progress'],
+    to: 'failed',
+    run: (client, task, opts) => client.tasks.fail(task.id, opts.reason)
+  },
+  reject: {
+    statuses: ['pending', 'in_progress'],
+    to: 'rejected',
+    run: (client, task, opts) => client.tasks.reject(task.id, opts.reason)
+  },
+  reopen: {
+    statuses: ['completed', 'failed', 'rejected', 'cancelled'],
+    to: 'pending',
+    run: (client, task, opts) => client.tasks.reopen(task.id, opts.reason)
+  },
+  complete: {
+    statuses: ['in_progress'],
+    to: 'completed',
+    run: (client, task, opts) => client.tasks.complete(task.id, opts.outputs)
+  },
+  update: {
+    statuses: null,
+    to: null,
+    run: (client, task, opts) => client.tasks.update(task.id, opts.body)
+  }
+};
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight. Results keep the input order.
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Parse `--set key=value` options into a task update body.
+ */
+function parseUpdateFields(specs) {
+  const body = {};
+  for (const spec of specs) {
+    const index = spec.indexOf('=');
+    const key = index === -1 ? spec : spec.slice(0, index);
+    const value = spec.slice(index + 1);
+    if (index === -1 || !BULK_UPDATE_FIELDS.includes(key)) {
+      throw new Error(`Invalid --set: "${spec}". Use <field>=<value> with field one of: ${BULK_UPDATE_FIELDS.join(', ')}`);
+    }
+    if (key === 'priority') {
+      body.priority = parseTaskPriority(value);
+    } else if (key === 'status') {
+      if (!TASK_STATUSES.includes(value)) {
+        throw new Error(`Invalid status: "${value}". Must be one of: ${TASK_STATUSES.join(', ')}`);
+      }
+      body.status = value;
+    } else if (key === 'payload') {
+      body.payload = parseJsonOption(value, '--set payload');
+    } else {
+      body[key] = value;
+    }
+  }
+  return body;
+}
+
+/**
+ * Parse a JSON option value, naming the option when it is not valid JSON.
+ */
+function parseJsonOption(value, name) {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new Error(`Invalid ${name}: not valid JSON (${err.message})`);
+  }
+}
+
+/**
+ * Statuses to select when bulk filters name none: the statuses the action
+ * applies to (so `bulk reopen --channel x` finds finished tasks), or null to
+ * keep the `ats list` default. --status and --all always win.
+ * @returns {string[]|null}
+ */
+function bulkSelectStatuses(action, options, flags) {
+  if (options.status || flags.all || options.all) return null;
+  return BULK_ACTIONS[action].statuses;
+}
+
+/**
+ * Decide what a bulk action would do to a task.
+ * @returns {{ task: object, change: string|null, skip: string|null }}
+ */
+function planBulkChange(action, task, body) {
+  const spec = BULK_ACTIONS[action];
+  if (spec.statuses && !spec.statuses.includes(task.status)) {
+    return { task, change: null, skip: `is ${task.status}` };
+  }
+  if (action !== 'update') {
+    return { task, change: `${task.status} → ${spec.to}`, skip: null };
+  }
+  const changes = Object.entries(body)
+    .filter(([key, value]) => JSON.stringify(task[key]) !== JSON.stringify(value))
+    .map(([key, value]) => `${key}: ${JSON.stringify(task[key] ?? null)} → ${JSON.stringify(value)}`);
+  return changes.length > 0
+    ? { task, change: changes.join(', '), skip: null }
+    : { task, change: null, skip: 'already up to date' };
+}
+
+/**
+ * Task IDs from positional arguments and, for "-" or piped input, from stdin
+ * (whitespace- or comma-separated, so `ats list -f template='{{id}}'` pipes in).
+ */
+async function bulkTaskIds(positional, hasFilters) {
+  const ids = positional.filter(id => id !== '-');
+  if (positional.includes('-') || (ids.length === 0 && !hasFilters && !process.stdin.isTTY)) {
+    ids.push(...(await readStdin()).split(/[\s,]+/).filter(Boolean));
+  }
+  for (const id of ids) {
+    if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid task ID: "${id}"`);
+  }
+  return [...new Set(ids)];
+}
+
+const BULK_PLAN_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'title', label: 'Title' },
+  { key: 'status', label: 'Status', format: formatStatus },
+  { key: 'change', label: 'Change', format: (v, row) => v || `skip (${row.skip})` }
+];
+
+commands.bulk = async function(args, config) {
+  const { options, flags } = args;
+  const [action, ...positional] = args.positional;
+  const spec = BULK_ACTIONS[action];
+
+  if (!spec) {
+    console.error(action ? `Error: Unknown bulk action: ${action}` : 'Error: Action is required');
+    console.error(`Usage: ats bulk <${Object.keys(BULK_ACTIONS).join('|')}> [ids...|-] [filters] [options]`);
+    console.error('  --status, --channel, --type, --since, -p, -q, --all   Select tasks like ats list');
+    console.error('  --reason <text>        Reason for fail, reject and reopen');
+    console.error('  --outputs <json>       Outputs for complete');
+    console.error('  --set <field>=<value>  Field to change for update (repeatable)');
+    console.error('  --dry-run              Show what would change without changing anything');
+    console.error('  --concurrency <n>      Requests in parallel (default: 5)');
+    console.error('  --yes, -y              Do not ask for confirmation');
+    process.exit(1);
+  }
+
+  const opts = {
+    reason: options.reason,
+    outputs: options.outputs ? parseJsonOption(options.outputs, '--outputs') : null,
+    body: action === 'update' ? parseUpdateFields(args.lists.set || []) : null
+  };
+  if (action === 'update' && Object.keys(opts.body).length === 0) {
+    throw new Error('No updates specified. Use --set <field>=<value>');
+  }
+  const concurrency = options.concurrency ? parseInt(options.concurrency, 10) : BULK_CONCURRENCY;
+  if (!(concurrency >= 1)) {
+    throw new Error(`Invalid --concurrency: "${options.concurrency}". Must be a positive number`);
+  }
+
+  const hasFilters = BULK_FILTER_KEYS.some(key => options[key] !== undefined || flags[key]);
+  const ids = await bulkTaskIds(positional, hasFilters);
+  if (ids.length > 0 && hasFilters) {
+    throw new Error('Select tasks with IDs or with filters, not both');
+  }
+  if (ids.length === 0 && !hasFilters) {
+    throw new Error('No tasks selected. Pass task IDs ("-" reads them from stdin) or filters such as --status or --channel');
+  }
+
+  // Select: by ID, or every task matching the list filters
+  const client = clientFor(config);
+  const isJson = config.format !== 'table';
+  let tasks;
+  const missing = [];
+  if (ids.length > 0) {
+    const found = await mapConcurrent(ids, concurrency, (id) => client.tasks.get(id).catch((error) => {
+      missing.push({ id, title: null, ok: false, skipped: false, error: error.message });
+      return null;
+    }));
+    tasks = found.filter(Boolean);
+  } else {
+    const params = taskListParams(args);
+    const select = (query) => query.limit ? client.tasks.list(query).then(result => result.tasks) : client.tasks.listAll(query);
+    const statuses = bulkSelectStatuses(action, options, flags);
+    if (statuses) {
+      // One listing per status, in case the server takes a single status only
+      tasks = (await Promise.all(statuses.map(status => select({ ...params, status })))).flat();
+      if (params.limit) tasks = tasks.slice(0, parseInt(params.limit, 10));
+    } else {
+      tasks = await select(params);
+    }
+  }
+
+  const plan = tasks.map(task => planBulkChange(action, task, opts.body));
+  const changes = plan.filter(entry => !entry.skip);
+  const planRows = plan.map(({ task, change, skip }) => ({ id: task.id, title: task.title, status: task.status, change, skip }));
+
+  if (flags['dry-run']) {
+    if (isJson) {
+      formatOutput(planRows, config, BULK_PLAN_COLUMNS);
+    } else if (plan.length === 0) {
+      console.log('No tasks matched.');
+    } else {
+      formatOutput(planRows, config, BULK_PLAN_COLUMNS);
+      console.log(`\nDry run: ${changes.length} task(s) would be changed by ${action}, ${plan.length - changes.length} skipped`);
+    }
+    for (const { id, error } of missing) console.error(`✗ Task ${id}: ${error}`);
+    return;
+  }
+
+  if (changes.length > BULK_CONFIRM_THRESHOLD && !flags.yes && !flags.y) {
+    const answer = await prompt(`${action} ${changes.length} task(s)? [y/N] `);
+    if (answer === null) {
+      console.error(`Error: Refusing to ${action} ${changes.length} tasks without confirmation. Pass --yes to skip it, or --dry-run to review them.`);
+      process.exit(1);
+    }
+    if (!/^y(es)?$/i.test(answer)) {
+      console.log('Aborted.');
+      return;
+    }
+  }
+
+  // Apply, reporting each task as it finishes
+  let finished = 0;
+  const applied = await mapConcurrent(changes, concurrency, async ({ task }) => {
+    let result;
+    try {
+      await spec.run(client, task, opts);
+      result = { id: task.id, title: task.title, ok: true, skipped: false, error: null };
+    } catch (error) {
+      result = { id: task.id, title: task.title, ok: false, skipped: false, error: error.message };
+    }
+    finished++;
+    if (!isJson) {
+      const detail = result.ok ? task.title : result.error;
+      console.log(`[${finished}/${changes.length}] ${result.ok ? '✓' : '✗'} Task ${task.id}${detail ? `: ${detail}` : ''}`);
+    }
+    return result;
+  });
+
+  const skipped = plan.filter(entry => entry.skip)
+    .map(({ task, skip }) => ({ id: task.id, title: task.title, ok: false, skipped: true, error: null, reason: skip }));
+  const results = [...applied, ...missing, ...skipped];
+  const failed = results.filter(result => !result.ok && !result.skipped);
+
+  if (isJson) {
+    formatOutput(results, config);
+  } else {
+    const succeeded = applied.filter(result => result.ok).length;
+    console.log(`\n${action}: ${succeeded} succeeded, ${failed.length} failed, ${skipped.length} skipped`);
+    for (const result of failed) {
+      console.log(`  ✗ Task ${result.id}: ${result.error}`);
+    }
+  }
+  if (failed.length > 0) process.exitCode = 1;
+};
+
+// --- Export and Import Commands ---
+
+const EXPORT_VERSION = 1;
+const EXPORT_CONCURRENCY = 5;
+
+/**
+ * One line of an export: the full task (with outputs), its messages, and where
+ * it came from, so an import can map the source ID to the task it creates.
+ */
+function exportRecord(task, messages, config) {
+  return {
+    version: EXPORT_VERSION,
+    source: { url: config.baseUrl, project: `${config.organization}/${config.project}`, id: task.id },
+    task,
+    messages
+  };
+}
+
+commands.export = async function(args, config) {
+  const { options, flags } = args;
+  const client = clientFor(config);
+  // A snapshot takes every status unless the filters say otherwise
+  const params = taskListParams({ ...args, flags: { ...flags, all: true } });
+  const tasks = params.limit ? (await client.tasks.list(params)).tasks : await client.tasks.listAll(params);
+
+  let done = 0;
+  const records = await mapConcurrent(tasks, EXPORT_CONCURRENCY, async (listed) => {
+    // The list may leave out outputs, so fetch the full task
+    const [task, messages] = await Promise.all([client.tasks.get(listed.id), client.messages.list(listed.id)]);
+    done++;
+    if (process.stderr.isTTY) process.stderr.write(`\rExporting ${done}/${tasks.length}...`);
+    return exportRecord(task, messages, config);
+  });
+  if (process.stderr.isTTY && tasks.length > 0) process.stderr.write('\n');
+
+  const lines = records.map(record => JSON.stringify(record) + '\n').join('');
+  if (options.output || options.o) {
+    writeFileSync(options.output || options.o, lines);
+    console.error(`✓ Exported ${records.length} task(s) to ${options.output || options.o}`);
+  } else {
+    process.stdout.write(lines);
+    console.error(`✓ Exported ${records.length} task(s)`);
+  }
+};
+
+/**
+ * Parse an export: JSON lines from `ats export`, or the JSON array of tasks
+ * written by `project delete --export`.
+ */
+function parseExport(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  const items = trimmed.startsWith('[')
+    ? JSON.parse(trimmed)
+    : trimmed.split('\n').filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`Invalid JSON on line ${i + 1} of the export`);
+      }
+    });
+  return items.map(item => item.task
+    ? item
+    : { version: EXPORT_VERSION, source: { url: null, project: item.project || null, id: item.id }, task: item, messages: [] });
+}
+
+/**
+ * Key identifying a source task in the ID map.
+ */
+function sourceKey(source) {
+  return `${source.project || '-'}#${source.id}`;
+}
+
+function loadIdMap(file) {
+  if (!existsSync(file)) return { version: EXPORT_VERSION, target: null, tasks: {} };
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
+function saveIdMap(file, idMap) {
+  writeFileSync(file, JSON.stringify(idMap, null, 2));
+}
+
+/**
+ * Message parts as re-posted on import. The importing actor posts them, so a
+ * leading text part records who originally wrote the message, and when.
+ */
+function importedMessageParts(message) {
+  const author = message.actor_name || (message.actor_id ? `${message.actor_type}:${message.actor_id}` : 'unknown');
+  const when = message.created_at ? ` at ${message.created_at}` : '';
+  return [{ type: 'text', content: `[Imported message from ${author}${when}]` }, ...(message.parts || [])];
+}
+
+/**
+ * The calls that move a freshly created (pending) task to the exported status.
+ * Completing and failing go through a claim by the importing actor. In-progress
+ * tasks stay pending, since their lease belongs to a worker on the source server.
+ * @returns {Function[]} Steps, each called as step(client, id)
+ */
+function statusSteps(task) {
+  const reason = taskReason(task) || undefined;
+  const claim = (client, id) => client.tasks.claim(id);
+  switch (task.status) {
+    case 'completed':
+      return [claim, (client, id) => client.tasks.complete(id, task.outputs?.length ? task.outputs : null)];
+    case 'failed':
+      return [claim, (client, id) => client.tasks.fail(id, reason)];
+    case 'cancelled':
+      return [(client, id) => client.tasks.cancel(id)];
+    case 'rejected':
+      return [(client, id) => client.tasks.reject(id, reason)];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Restore the exported status, counting finished steps in `entry.status_steps`.
+ * A resumed run first looks at the task, since a step may have gone through
+ * without being recorded (e.g. a claim, leaving the task in progress).
+ */
+async function restoreStatus(client, entry, task, save) {
+  const steps = statusSteps(task);
+  if (steps.length === 0) return;
+
+  if (entry.status_steps === undefined) {
+    entry.status_steps = 0;
+    save();
+  } else if (entry.status_steps < steps.length) {
+    const { status } = await client.tasks.get(entry.id);
+    if (status === task.status) {
+      entry.status_steps = steps.length;
+    } else if (status === 'in_progress' && steps.length === 2) {
+      // Claimed already; only the complete/fail is left
+      entry.status_steps = 1;
+    } else if (status === 'pending') {
+      // Nothing went through, or the claim's lease ran out since
+      entry.status_steps = 0;
+    }
+  }
+
+  while (entry.status_steps < steps.length) {
+    await steps[entry.status_steps](client, entry.id);
+    entry.status_steps++;
+    save();
+  }
+}
+
+/**
+ * Import one exported task, recording progress in `entry` after every step so
+ * an interrupted import resumes where it stopped instead of duplicating work.
+ * The API creates every task as pending, so the status is restored right after
+ * creating it, before the history is posted, to keep the window in which a
+ * worker can claim it short.
+ * @param {object} entry - The task's ID-map entry: { id, messages, status_steps, done }
+ */
+async function importRecord(client, record, entry, opts, save) {
+  const { task } = record;
+  if (entry.id === undefined) {
+    const created = await client.tasks.create({
+      title: task.title,
+      description: task.description ?? undefined,
+      type: task.type,
+      channel: task.channel,
+      priority: task.priority,
+      payload: task.payload ?? undefined
+    });
+    entry.id = created.id;
+    entry.messages = 0;
+    save();
+  }
+
+  if (opts.status) {
+    await restoreStatus(client, entry, task, save);
+  }
+
+  if (opts.history) {
+    const messages = record.messages || [];
+    while (entry.messages < messages.length) {
+      await client.messages.add(entry.id, importedMessageParts(messages[entry.messages]));
+      entry.messages++;
+      save();
+    }
+  }
+  entry.done = true;
+  save();
+}
+
+const IMPORT_COLUMNS = [
+  { key: 'source', label: 'Source' },
+  { key: 'id', label: 'New ID' },
+  { key: 'title', label: 'Title' },
+  { key: 'result', label: 'Result' }
+];
+
+commands.import = async function(args, config) {
+  const { options, flags } = args;
+  const file = args.positional[0];
+
+  if (!file) {
+    console.error('Error: Export file is required');
+    console.error('Usage: ats import <file|-> [--to org/project] [options]');
+    console.error('  --to <org/project>     Project to import into (default: current project)');
+    console.error('  --preserve-status      Restore completed, failed, cancelled and rejected tasks. Tasks are');
+    console.error('                         created pending, so a worker watching the target project may claim');
+    console.error('                         one before its status is restored; that task is reported as failed');
+    console.error('  --preserve-history     Re-post each task\'s messages');
+    console.error('  --id-map <file>        Old-to-new ID map, used to resume (default: <file>.idmap.json)');
+    process.exit(1);
+  }
+
+  let client = clientFor(config);
+  let target = `${config.organization}/${config.project}`;
+  if (options.to) {
+    const parsed = parseProjectString(options.to);
+    if (!parsed) throw new Error(`Invalid --to: "${options.to}". Use org/project`);
+    client = client.forProject(parsed.org, parsed.project);
+    target = options.to;
+  }
+
+  const mapFile = options['id-map'] || (file === '-' ? null : `${file}.idmap.json`);
+  if (!mapFile) throw new Error('--id-map <file> is required when importing from stdin');
+
+  const records = parseExport(file === '-' ? await readStdin() : readFileSync(file, 'utf-8'));
+  const idMap = loadIdMap(mapFile);
+  if (idMap.target && idMap.target !== target) {
+    throw new Error(`${mapFile} maps IDs into ${idMap.target}, not ${target}. Use another --id-map`);
+  }
+  idMap.target = target;
+  const save = () => saveIdMap(mapFile, idMap);
+  const opts = { status: !!flags['preserve-status'], history: !!flags['preserve-history'] };
+
+  const isTable = config.format === 'table';
+  const rows = [];
+  for (const record of records) {
+    const key = sourceKey(record.source);
+    const entry = idMap.tasks[key] ||= {};
+    const row = { source: key, id: entry.id ?? null, title: record.task.title, result: 'skipped' };
+    rows.push(row);
+    if (entry.done) continue;
+    try {
+      await importRecord(client, record, entry, opts, save);
+      Object.assign(row, { id: entry.id, result: 'imported' });
+      if (isTable) console.log(`✓ ${key} → ${entry.id}: ${record.task.title}`);
+    } catch (err) {
+      Object.assign(row, { id: entry.id ?? null, result: 'failed', error: err.message });
+      console.error(`✗ ${key}: ${err.message}`);
+    }
+  }
+  save();
+
+  const count = (result) => rows.filter(row => row.result === result).length;
+  const failed = count('failed');
+  if (failed > 0) process.exitCode = 1;
+  // Other formats print one row per task, so an empty export gives []
+  if (!isTable) {
+    formatOutput(rows, config, IMPORT_COLUMNS);
+    return;
+  }
+
+  console.log(`\nImported ${count('imported')} task(s) into ${target}, ${count('skipped')} already imported, ${failed} failed`);
+  console.log(`ID map: ${mapFile}`);
+  if (failed > 0) console.log('Run the same command again to retry the failed tasks.');
+};
+
+// --- Message Commands ---
+commands.message = {
+  async add(args, config) {
+    const taskId = args.positional[0] || args.options.task;
+    const content = args.positional[1] || args.options.content;
+
+    if (!taskId || !content) {
+      console.error('Error: Task ID and content are required');
+      console.error('Usage: ats message add <task_id> <content>');
+      console.error('  --type <type>  Content type (default: text)');
+      process.exit(1);
+    }
+
+    const message = await clientFor(config).messages.add(taskId, content, { type: args.options.type });
+    if (config.format === 'table') console.log(`✓ Message added to task ${taskId}`);
+    formatOutput(message, config, MESSAGE_COLUMNS);
+  },
+
+  async list(args, config) {
+    const taskId = args.positional[0] || args.options.task;
+
+    if (!taskId) {
+      console.error('Error: Task ID is required');
+      console.error('Usage: ats message list <task_id>');
+      process.exit(1);
+    }
+
+    const messages = await clientFor(config).messages.list(taskId);
+
+    if (config.format !== 'table') {
+      formatOutput(messages, config, MESSAGE_COLUMNS);
+    } else if (messages.length === 0) {
+      console.log('No messages found.');
+    } else {
+      console.log(`\n─── Messages for Task ${taskId} ───\n`);
+      for (const msg of messages) {
+        const time = formatTimestamp(msg.created_at);
+        const actor = `${msg.actor_name || 'Unknown'} (${msg.actor_type})`;
+        console.log(`[${time}] ${actor}:`);
+        for (const part of msg.parts || []) {
+          if (part.type === 'text') {
+            console.log(`  ${part.content}`);
+          } else {
+            console.log(`  [${part.type}]: ${part.url || part.data || '(binary)'}`);
+          }
+        }
+        console.log();
+      }
+      console.log(`${messages.length} message(s)`);
+    }
+  }
+};
+
+// --- Event History Commands ---
+
+function actorLabel(entry) {
+  if (entry.actor_name) return entry.actor_name;
+  return entry.actor_id ? `${entry.actor_type}:${entry.actor_id}` : '';
+}
+
+function messageText(message) {
+  return (message.parts || []).map(part => part.type === 'text' ? part.content : `[${part.type}]`).join(' ');
+}
+
+/**
+ * Summarize what an event changed: assignee and lease for claims, the reason
+ * for rejections, failures and reopens, and the fields of an update.
+ */
+function eventDetails(event) {
+  const data = event.data || {};
+  const task = data.task || event.task || {};
+  const details = [];
+
+  if (event.type === 'task.claimed') {
+    const assignee = data.assignee_name || task.assignee_name;
+    if (assignee) details.push(`assignee ${assignee}`);
+    const lease = data.lease_expires_at || task.lease_expires_at;
+    if (lease) details.push(`lease until ${formatTimestamp(lease)}`);
+  }
+  const reason = data.reason ?? event.reason ?? (event.type === 'task.claimed' ? null : taskReason(task));
+  if (reason) details.push(`reason: ${reason}`);
+  if (data.changes) details.push(`changed ${Object.keys(data.changes).join(', ')}`);
+
+  return details.join(', ');
+}
+
+/**
+ * Merge a task's events and messages into one chronological timeline.
+ * @returns {{ at: string, kind: 'event'|'message', type: string, actor: string, details: string, data: object }[]}
+ */
+function taskTimeline(events, messages) {
+  const entries = [
+    ...events.map(event => ({
+      at: eventTime(event),
+      kind: 'event',
+      type: event.type,
+      actor: actorLabel(event),
+      details: eventDetails(event),
+      data: event
+    })),
+    ...messages.map(message => ({
+      at: message.created_at,
+      kind: 'message',
+      type: 'message',
+      actor: actorLabel(message),
+      details: messageText(message),
+      data: message
+    }))
+  ];
+  return entries.sort((a, b) => (Date.parse(a.at) || 0) - (Date.parse(b.at) || 0));
+}
+
+/**
+ * Filter events locally as well, in case the server ignores some of the query,
+ * and order them oldest first. Times are compared as instants, whatever
+ * timestamp format the server uses.
+ * @param {object[]} events
+ * @param {object} filters - { task, types, actor, since, until }
+ */
+function filterEvents(events, { task, types, actor, since, until }) {
+  const sinceMs = since ? Date.parse(since) : null;
+  const untilMs = until ? Date.parse(until) : null;
+  return events
+    .filter(event => (!task || String(event.task_id ?? event.data?.task?.id) === String(task))
+      && (!types || types.includes(event.type))
+      && (!actor || (event.actor_id === actor.id && (!actor.type || event.actor_type === actor.type)))
+      && (sinceMs === null || eventMillis(event) >= sinceMs)
+      && (untilMs === null || eventMillis(event) <= untilMs))
+    .sort((a, b) => eventMillis(a) - eventMillis(b));
+}
+
+commands.events = {
+  async list(args, config) {
+    const { options } = args;
+    const types = options.type ? options.type.split(',').map(t => t.trim()) : null;
+    const actor = options.actor ? parseActorString(options.actor, null) : null;
+    const since = parseTimeString(options.since || options.S);
+    const until = parseTimeString(options.until);
+
+    // Newest first, so --limit keeps the most recent events; they are printed oldest first
+    const params = { limit: options.limit || '100', sort_by: 'created_at', sort_dir: 'desc' };
+    if (options.task) params.task_id = options.task;
+    if (types) params.type = types.join(',');
+    if (actor?.type) params.actor_type = actor.type;
+    if (actor) params.actor_id = actor.id;
+    if (since) params.since = since;
+    if (until) params.until = until;
+    if (options.offset) params.offset = options.offset;
+
+    const events = filterEvents(await clientFor(config).events.list(params), { task: options.task, types, actor, since, until });
+
+    if (config.format !== 'table') {
+      formatOutput(events, config, EVENT_COLUMNS);
+      return;
+    }
+    if (events.length === 0) {
+      console.log('No events found.');
+      return;
+    }
+    formatOutput(events, config, EVENT_COLUMNS);
+    console.log(`\n${events.length} event(s)`);
+  }
+};
+
+commands.history = async function(args, config) {
+  const id = args.positional[0] || args.options.task;
+  if (!id) {
+    console.error('Error: Task ID is required');
+    console.error('Usage: ats history <task_id>');
+    process.exit(1);
+  }
+
+  const client = clientFor(config);
+  const [task, timeline] = await Promise.all([client.tasks.get(id), client.tasks.history(id)]);
+
+  if (config.format !== 'table') {
+    formatOutput(timeline, config, TIMELINE_COLUMNS);
+    return;
+  }
+
+  console.log(`\n─── History of Task ${task.id}: ${task.title || '(no title)'} ───\n`);
+  if (timeline.length === 0) {
+    console.log('No events or messages recorded.');
+    return;
+  }
+  formatOutput(timeline, config, TIMELINE_COLUMNS);
+  console.log(`\nNow ${formatStatus(task.status)}${task.assignee_name ? `, assigned to ${task.assignee_name}` : ''}`);
+};
+
+// --- Project Commands ---
+/**
+ * Parse org/project notation (e.g., "myorg/myproject")
+ * @param {string} projectString - Project string in org/project format
+ * @returns {{ org: string, project: string } | null}
+ */
+function parseProjectString(projectString) {
+  if (!projectString || !projectString.includes('/')) return null;
+  const [org, project] = projectString.split('/', 2);
+  if (!org || !project) return null;
+  return { org, project };
+}
+
+/**
+ * Parse actor notation "type:id" (e.g., "human:alice"). A bare id gets the default type.
+ * @param {string} actorString - Actor string
+ * @param {string} defaultType - Type used when none is given
+ * @returns {{ type: string, id: string } | null}
+ */
+function parseActorString(actorString, defaultType = 'human') {
+  if (!actorString) return null;
+  const index = actorString.indexOf(':');
+  if (index === -1) return { type: defaultType, id: actorString };
+  const type = actorString.slice(0, index);
+  const id = actorString.slice(index + 1);
+  if (!type || !id) return null;
+  return { type, id };
+}
+
+/**
+ * Resolve an organization from an "org" or "org/project" argument, defaulting to the current org.
+ */
+function resolveOrg(orgArg, config) {
+  if (!orgArg) return config.organization;
+  return parseProjectString(orgArg)?.org || orgArg;
+}
+
+const PROJECT_COLUMNS = [
+  { key: 'project', label: 'Project' },
+  { key: 'name', label: 'Name' },
+  { key: 'pending_count', label: 'Pending' },
+  { key: 'in_progress_count', label: 'Active' },
+  { key: 'total_count', label: 'Total' }
+];
+
+/**
+ * Flatten a project from /orgs/:org/projects?counts=true into a PROJECT_COLUMNS row.
+ */
+function toProjectRow(orgSlug, proj) {
+  return {
+    project: `${orgSlug}/${proj.slug}`,
+    name: proj.name || proj.slug,
+    pending_count: proj.pending_count || 0,
+    in_progress_count: proj.in_progress_count || 0,
+    total_count: proj.total_count || 0,
+    org_slug: orgSlug,
+    project_slug: proj.slug
+  };
+}
+
+/**
+ * PATCH an organization's slug and/or name.
+ * @returns {Promise<object>} The updated organization (slug falls back to the requested one)
+ */
+async function renameOrg(config, org, body) {
+  const updated = await clientFor(config).orgs.update(org, body);
+  return { ...updated, slug: updated.slug || body.slug || org };
+}
+
+/**
+ * Show what a deletion will destroy: the projects and their task counts.
+ */
+function printDeletionSummary(label, rows) {
+  const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+  console.log(`\nAbout to permanently delete ${label}:\n`);
+  formatTable(rows, PROJECT_COLUMNS);
+  console.log(`\n  ${sum('pending_count')} pending, ${sum('in_progress_count')} in progress, ${sum('total_count')} task(s) in total\n`);
+}
+
+/**
+ * Optionally export the tasks of the projects being deleted to a JSON file.
+ * `--export <file>` exports without asking; in a terminal the user is offered an export.
+ */
+async function exportBeforeDeletion(config, rows, args, defaultFile) {
+  const total = rows.reduce((sum, row) => sum + row.total_count, 0);
+  let file = args.options.export;
+
+  if (!file && total > 0 && !args.flags.yes && !args.flags.y) {
+    if (await confirm(`Export the ${total} task(s) to a JSON file first?`)) {
+      file = (await prompt(`File [${defaultFile}]: `)) || defaultFile;
+    }
+  }
+  if (!file) return;
+
+  const tasks = [];
+  for (const row of rows) {
+    const client = clientFor(config).forProject(row.org_slug, row.project_slug);
+    for (const task of await client.tasks.listAll()) {
+      tasks.push({ ...task, project: `${row.org_slug}/${row.project_slug}` });
+    }
+  }
+  writeFileSync(file, JSON.stringify(tasks, null, 2));
+  console.log(`✓ Exported ${tasks.length} task(s) to ${file}`);
+}
+
+/**
+ * Ask the user to type the slug of what is being deleted. `--yes` skips the question.
+ * @returns {Promise<boolean>}
+ */
+async function confirmDeletion(slug, args) {
+  if (args.flags.yes || args.flags.y) return true;
+  const answer = await prompt(`Type "${slug}" to confirm: `);
+  if (answer === null) {
+    console.error('Error: Refusing to delete without confirmation. Pass --yes to skip it.');
+    process.exit(1);
+  }
+  return answer === slug;
+}
+
+function printRemovedBindings(changed) {
+  for (const { scope, path } of changed) {
+    console.log(`  Removed binding from ${scope} config: ${path}`);
+  }
+}
+
+commands.project = {
+  async init(args, config) {
+    const { positional, options, flags } = args;
+
+    // Parse org/project from positional argument or options
+    let org, project;
+    const projectArg = positional[0];
+
+    if (projectArg && projectArg.includes('/')) {
+      const parsed = parseProjectString(projectArg);
+      if (parsed) {
+        org = parsed.org;
+        project = parsed.project;
+      }
+    } else {
+      org = options.org || config.organization;
+      project = options.project || config.project;
+    }
+
+    if (!org || !project) {
+      console.error('Error: Project required in org/project format');
+      console.error('Usage: ats project init <org/project>');
+      console.error('       ats project init --org <org> --project <project>');
+      process.exit(1);
+    }
+
+    // Check if project config already exists in current directory
+    const existingPath = join(process.cwd(), PROJECT_CONFIG_NAME);
+    if (existsSync(existingPath) && !flags.force) {
+      console.error(`Error: Project config already exists at ${existingPath}`);
+      console.error('Use --force to overwrite.');
+      process.exit(1);
+    }
+
+    // Verify org/project exist on the server unless --skip-existence-check
+    if (!flags['skip-existence-check']) {
+      try {
+        await clientFor(config).projects.get(org, project);
+      } catch (err) {
+        if (!(err instanceof NotFoundError)) throw err;
+        console.error(`Error: Project '${org}/${project}' does not exist on the server.`);
+        console.error(`Create it first with 'ats project create ${org}/${project}', or use --skip-existence-check to bind to a project that will be created later.`);
+        process.exit(err.exitCode);
+      }
+    }
+
+    const projectConfig = {
+      organization: org,
+      project: project
+    };
+
+    // Optionally include URL if different from default
+    if (options.url && options.url !== DEFAULT_BASE_URL) {
+      projectConfig.url = options.url;
+    }
+
+    const savedPath = saveProjectConfig(projectConfig);
+    console.log(`✓ Directory bound to project: ${org}/${project}`);
+    console.log(`  Config: ${savedPath}`);
+    console.log('\nAll ats commands in this directory will now use this project.');
+  },
+
+  async list(args, config) {
+    // Get all orgs, then all projects for each org, flatten into project list
+    const client = clientFor(config);
+    const orgs = await client.orgs.list();
+
+    if (orgs.length === 0 && config.format === 'table') {
+      console.log('No organizations found. Create one with: ats project create <org/project>');
+      return;
+    }
+
+    const allProjects = [];
+    for (const org of orgs) {
+      const projects = await client.projects.list(org.slug, { counts: true });
+
+      for (const proj of projects) {
+        allProjects.push(toProjectRow(org.slug, proj));
+      }
+    }
+
+    if (config.format !== 'table') {
+      formatOutput(allProjects, config, PROJECT_COLUMNS);
+      return;
+    }
+    if (allProjects.length === 0) {
+      console.log('No projects found. Create one with: ats project create <org/project>');
+      return;
+    }
+
+    // Mark current project
+    const currentProject = `${config.organization}/${config.project}`;
+    for (const proj of allProjects) {
+      if (proj.project === currentProject) {
+        proj.project = `${proj.project} *`;
+      }
+    }
+
+    formatOutput(allProjects, config, PROJECT_COLUMNS);
+    console.log(`\n${allProjects.length} project(s) (* = current)`);
+  },
+
+  async create(args, config) {
+    const { positional, options } = args;
+    const projectArg = positional[0];
+
+    if (!projectArg || !projectArg.includes('/')) {
+      console.error('Error: Project required in org/project format');
+      console.error('Usage: ats project create <org/project> [--name "Project Name"] [--description "..."]');
+      process.exit(1);
+    }
+
+    const parsed = parseProjectString(projectArg);
+    if (!parsed) {
+      console.error('Error: Invalid project format. Use org/project');
+      process.exit(1);
+    }
+
+    const { org, project } = parsed;
+
+    // Check if org exists, create if not
+    const client = clientFor(config);
+    try {
+      await client.orgs.get(org);
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) throw err;
+      // Org doesn't exist, create it
+      console.log(`Creating organization: ${org}`);
+      await client.orgs.create({ slug: org, name: org });
+    }
+
+    // Create the project
+    const body = {
+      slug: project,
+      name: options.name || project,
+      description: options.description
+    };
+
+    const proj = await client.projects.create(org, body);
+    console.log(`✓ Project created: ${org}/${proj.slug}`);
+  },
+
+  async switch(args, config) {
+    const { positional } = args;
+    const projectArg = positional[0];
+
+    if (!projectArg || !projectArg.includes('/')) {
+      console.error('Error: Project required in org/project format');
+      console.error('Usage: ats project switch <org/project>');
+      process.exit(1);
+    }
+
+    const parsed = parseProjectString(projectArg);
+    if (!parsed) {
+      console.error('Error: Invalid project format. Use org/project');
+      process.exit(1);
+    }
+
+    const { org, project } = parsed;
+
+    // Verify project exists
+    await clientFor(config).projects.get(org, project);
+
+    // Save to global config file
+    const globalConfig = loadGlobalConfig();
+    globalConfig.organization = org;
+    globalConfig.project = project;
+    saveGlobalConfig(globalConfig);
+
+    console.log(`✓ Switched to project: ${org}/${project}`);
+  },
+
+  async current(args, config) {
+    const { projectPath } = loadConfig();
+    const currentProject = `${config.organization}/${config.project}`;
+
+    console.log(`Current project: ${currentProject}`);
+    if (projectPath) {
+      console.log(`  Source: ${projectPath}`);
+    } else {
+      console.log(`  Source: global config`);
+    }
+  },
+
+  async show(args, config) {
+    const { global: globalConfig, project: projectConfig, projectPath } = loadConfig();
+
+    if (config.format !== 'table') {
+      formatOutput({
+        current: `${config.organization}/${config.project}`,
+        global: {
+          path: GLOBAL_CONFIG_PATH,
+          project: globalConfig.organization && globalConfig.project
+            ? `${globalConfig.organization}/${globalConfig.project}`
+            : null,
+          url: globalConfig.url || DEFAULT_BASE_URL
+        },
+        local: projectPath ? {
+          path: projectPath,
+          project: projectConfig.organization && projectConfig.project
+            ? `${projectConfig.organization}/${projectConfig.project}`
+            : null,
+          url: projectConfig.url || null
+        } : null,
+        effective: {
+          project: `${config.organization}/${config.project}`,
+          url: config.baseUrl,
+          actor: config.actor,
+          authenticated: !!config.apiKey
+        }
+      }, config);
+      return;
+    }
+
+    console.log('\n┌─ Project Configuration ────────────────────────────');
+    console.log(`│ Current:       ${config.organization}/${config.project}`);
+    console.log('├─ Global Config ────────────────────────────────────');
+    console.log(`│ Path:          ${GLOBAL_CONFIG_PATH}`);
+    const globalProject = globalConfig.organization && globalConfig.project
+      ? `${globalConfig.organization}/${globalConfig.project}`
+      : '(not set)';
+    console.log(`│ Project:       ${globalProject}`);
+    console.log(`│ URL:           ${globalConfig.url || '(default)'}`);
+
+    console.log('├─ Local Config ─────────────────────────────────────');
+    if (projectPath) {
+      console.log(`│ Path:          ${projectPath}`);
+      const localProject = projectConfig.organization && projectConfig.project
+        ? `${projectConfig.organization}/${projectConfig.project}`
+        : '(not set)';
+      console.log(`│ Project:       ${localProject}`);
+      console.log(`│ URL:           ${projectConfig.url || '(inherited)'}`);
+    } else {
+      console.log('│ (no local config found)');
+    }
+
+    console.log('├─ Effective Settings ───────────────────────────────');
+    console.log(`│ Project:       ${config.organization}/${config.project}`);
+    console.log(`│ URL:           ${config.baseUrl}`);
+    console.log(`│ Actor:         ${config.actor.name} (${config.actor.type})`);
+    console.log(`│ API Key:       ${config.apiKey ? maskSecret(config.apiKey) : '(none)'}`);
+    console.log('└────────────────────────────────────────────────────\n');
+  },
+
+  async rename(args, config) {
+    const { positional, options } = args;
+    const projectArg = positional[0];
+    const targetArg = positional[1];
+
+    if (!projectArg || !projectArg.includes('/')) {
+      console.error('Error: Project required in org/project format');
+      console.error('Usage: ats project rename <org/project> <new-org/new-project>');
+      console.error('       ats project rename <org/project> --slug <new-project-slug>');
+      console.error('       ats project rename <org/project> --name <display-name>');
+      process.exit(1);
+    }
+
+    const parsed = parseProjectString(projectArg);
+    if (!parsed) {
+      console.error('Error: Invalid project format. Use org/project');
+      process.exit(1);
+    }
+
+    const { org, project } = parsed;
+
+    // Parse target - can be org/project format or just project slug
+    let newOrg = null;
+    let newProject = options.slug || null;
+    const newName = options.name;
+
+    if (targetArg) {
+      if (targetArg.includes('/')) {
+        const targetParsed = parseProjectString(targetArg);
+        if (targetParsed) {
+          if (targetParsed.org !== org) {
+            newOrg = targetParsed.org;
+          }
+          if (targetParsed.project !== project) {
+            newProject = targetParsed.project;
+          }
+        }
+      } else {
+        // Just a project slug
+        newProject = targetArg;
+      }
+    }
+
+    if (!newOrg && !newProject && !newName) {
+      console.error('Error: Must specify target org/project, --slug, or --name');
+      console.error('Usage: ats project rename <org/project> <new-org/new-project>');
+      console.error('       ats project rename <org/project> --slug <new-project-slug>');
+      console.error('       ats project rename <org/project> --name <display-name>');
+      process.exit(1);
+    }
+
+    let finalOrg = org;
+    let finalProject = project;
+
+    // Rename org if needed
+    if (newOrg) {
+      finalOrg = (await renameOrg(config, org, { slug: newOrg })).slug;
+      console.log(`✓ Organization renamed: ${org} → ${finalOrg}`);
+    }
+
+    // Rename project if needed
+    if (newProject || newName) {
+      const projBody = {};
+      if (newProject) projBody.slug = newProject;
+      if (newName) projBody.name = newName;
+
+      const updatedProj = await clientFor(config).projects.update(finalOrg, project, projBody);
+      finalProject = updatedProj.slug || newProject || project;
+      console.log(`✓ Project renamed: ${project} → ${finalProject}`);
+      if (newName) {
+        console.log(`  Name: ${updatedProj.name || newName}`);
+      }
+    }
+
+    console.log(`✓ Project: ${finalOrg}/${finalProject}`);
+
+    // Update local and global config if this was the current project
+    if (newOrg || newProject) {
+      for (const { scope, path } of rewriteConfigBindings({ org, project }, { org: finalOrg, project: finalProject })) {
+        console.log(`  Updated ${scope} config: ${path}`);
+      }
+    }
+  },
+
+  async delete(args, config) {
+    const parsed = parseProjectString(args.positional[0]);
+    if (!parsed) {
+      console.error('Error: Project required in org/project format');
+      console.error('Usage: ats project delete <org/project> [--yes] [--export <file>]');
+      process.exit(1);
+    }
+
+    const { org, project } = parsed;
+    const client = clientFor(config);
+    const proj = (await client.projects.list(org, { counts: true })).find(p => p.slug === project);
+    if (!proj) {
+      throw new Error(`Project '${org}/${project}' not found`);
+    }
+
+    const rows = [toProjectRow(org, proj)];
+    printDeletionSummary(`project ${org}/${project}`, rows);
+    await exportBeforeDeletion(config, rows, args, `${org}-${project}-tasks.json`);
+
+    if (!await confirmDeletion(`${org}/${project}`, args)) {
+      console.log('Aborted.');
+      process.exit(1);
+    }
+
+    await client.projects.delete(org, project);
+    console.log(`✓ Project deleted: ${org}/${project}`);
+    printRemovedBindings(rewriteConfigBindings({ org, project }, null));
+  }
+};
+
+// --- Organization Commands ---
+
+const ORG_ROLES = ['owner', 'admin', 'member'];
+
+const MEMBER_COLUMNS = [
+  { key: 'actor', label: 'Actor', format: (v, row) => `${row.actor_type}:${row.actor_id}` },
+  { key: 'display_name', label: 'Name' },
+  { key: 'role', label: 'Role' },
+  { key: 'created_at', label: 'Joined', format: formatTimestamp }
+];
+
+function validateRole(role) {
+  if (!ORG_ROLES.includes(role)) {
+    throw new Error(`Invalid role: "${role}". Must be one of: ${ORG_ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+function requireActor(actorArg, usage) {
+  const actor = parseActorString(actorArg);
+  if (!actor) {
+    console.error('Error: Actor is required (type:id, e.g. human:alice)');
+    console.error(`Usage: ${usage}`);
+    process.exit(1);
+  }
+  return actor;
+}
+
+const orgMembers = {
+  async list(args, config) {
+    const org = resolveOrg(args.positional[1], config);
+    const members = await clientFor(config).orgs.members.list(org);
+
+    if (members.length === 0 && config.format === 'table') {
+      console.log(`No members found in ${org}.`);
+      return;
+    }
+    formatOutput(members, config, MEMBER_COLUMNS);
+    if (config.format === 'table') console.log(`\n${members.length} member(s) in ${org}`);
+  },
+
+  async add(args, config) {
+    const actor = requireActor(args.positional[1], 'ats org members add <type:id> [org] [--role member]');
+    const role = validateRole(args.options.role || 'member');
+    const org = resolveOrg(args.positional[2], config);
+
+    await clientFor(config).orgs.members.add(org, actor, role);
+    console.log(`✓ Added ${actor.type}:${actor.id} to ${org} as ${role}`);
+  },
+
+  async role(args, config) {
+    const usage = 'ats org members role <type:id> <role> [org]';
+    const actor = requireActor(args.positional[1], usage);
+    const roleArg = args.positional[2] || args.options.role;
+    if (!roleArg) {
+      console.error(`Error: Role is required (${ORG_ROLES.join(', ')})`);
+      console.error(`Usage: ${usage}`);
+      process.exit(1);
+    }
+    const role = validateRole(roleArg);
+    const org = resolveOrg(args.positional[3], config);
+
+    await clientFor(config).orgs.members.update(org, actor, role);
+    console.log(`✓ ${actor.type}:${actor.id} is now ${role} in ${org}`);
+  },
+
+  async remove(args, config) {
+    const actor = requireActor(args.positional[1], 'ats org members remove <type:id> [org]');
+    const org = resolveOrg(args.positional[2], config);
+
+    await clientFor(config).orgs.members.remove(org, actor);
+    console.log(`✓ Removed ${actor.type}:${actor.id} from ${org}`);
+  }
+};
+
+const ORG_INVITATION_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'invitee', label: 'Invitee', format: (v, row) => invitee(row) },
+  { key: 'role', label: 'Role' },
+  { key: 'status', label: 'Status' },
+  { key: 'invited_by_name', label: 'Invited By' },
+  { key: 'expires_at', label: 'Expires', format: formatTimestamp }
+];
+
+const MY_INVITATION_COLUMNS = [
+  { key: 'org_slug', label: 'Organization' },
+  { key: 'role', label: 'Role' },
+  { key: 'invited_by_name', label: 'Invited By' },
+  { key: 'expires_at', label: 'Expires', format: formatTimestamp },
+  { key: 'token', label: 'Token' }
+];
+
+function invitee(invitation) {
+  if (invitation.email) return invitation.email;
+  if (invitation.actor_id) return `${invitation.actor_type}:${invitation.actor_id}`;
+  return '';
+}
+
+const ORG_COLUMNS = [
+  { key: 'org', label: 'Organization' },
+  { key: 'name', label: 'Name' },
+  { key: 'project_count', label: 'Projects' },
+  { key: 'pending_count', label: 'Pending' },
+  { key: 'in_progress_count', label: 'Active' },
+  { key: 'total_count', label: 'Total' }
+];
+
+/**
+ * Summarize an org's projects into task totals.
+ */
+function orgTotals(projectRows) {
+  const sum = (key) => projectRows.reduce((total, row) => total + row[key], 0);
+  return {
+    project_count: projectRows.length,
+    pending_count: sum('pending_count'),
+    in_progress_count: sum('in_progress_count'),
+    total_count: sum('total_count')
+  };
+}
+
+commands.org = {
+  async list(args, config) {
+    const client = clientFor(config);
+    const orgs = await client.orgs.list();
+
+    if (orgs.length === 0 && config.format === 'table') {
+      console.log('No organizations found. Create one with: ats org create <slug>');
+      return;
+    }
+
+    const rows = [];
+    for (const org of orgs) {
+      const projects = await client.projects.list(org.slug, { counts: true });
+      const projectRows = projects.map(proj => toProjectRow(org.slug, proj));
+      rows.push({
+        org: org.slug === config.organization ? `${org.slug} *` : org.slug,
+        name: org.name || org.slug,
+        ...orgTotals(projectRows),
+        slug: org.slug
+      });
+    }
+
+    formatOutput(rows, config, ORG_COLUMNS);
+    if (config.format === 'table') console.log(`\n${rows.length} organization(s) (* = current)`);
+  },
+
+  async create(args, config) {
+    const slug = args.positional[0];
+    if (!slug || slug.includes('/')) {
+      console.error('Error: Organization slug is required');
+      console.error('Usage: ats org create <slug> [--name "Org Name"]');
+      process.exit(1);
     }
-  }
 
-  console.log('├─ Performance ──────────────────────────────────────');
-  const avgMinutes = stats.avg_completion_seconds ? (stats.avg_completion_seconds / 60).toFixed(1) : 0;
-  console.log(`│   Avg Completion:     ${avgMinutes} minutes`);
-  console.log(`│   Completed Tasks:    ${stats.completed_count}`);
+    const org = await clientFor(config).orgs.create({ slug, name: args.options.name || slug });
+    console.log(`✓ Organization created: ${org.slug || slug}`);
+  },
 
-  console.log('├─ Recent Activity ──────────────────────────────────');
-  console.log(`│   Created (24h):      ${stats.recent?.created_24h || 0}`);
-  console.log(`│   Completed (24h):    ${stats.recent?.completed_24h || 0}`);
-  console.log(`│   Created (7d):       ${stats.recent?.created_7d || 0}`);
-  console.log(`│   Completed (7d):     ${stats.recent?.completed_7d || 0}`);
-  console.log('└────────────────────────────────────────────────────\n');
+  async show(args, config) {
+    const slug = resolveOrg(args.positional[0], config);
+    const client = clientFor(config);
+    const org = await client.orgs.get(slug);
+    const projects = await client.projects.list(slug, { counts: true });
+    const projectRows = projects.map(proj => toProjectRow(slug, proj));
+
+    // Member lists can be restricted to admins; show what we can
+    let memberCount = null;
+    try {
+      memberCount = (await client.orgs.members.list(slug)).length;
+    } catch (err) {
+      if (config.verbose) console.error(`  Could not list members: ${err.message}`);
+    }
+
+    const totals = orgTotals(projectRows);
+    if (config.format !== 'table') {
+      formatOutput({ organization: org, projects: projectRows, member_count: memberCount, totals }, config);
+      return;
+    }
+
+    console.log('\n┌─ Organization ─────────────────────────────────────');
+    console.log(`│ Slug:        ${org.slug || slug}`);
+    console.log(`│ Name:        ${org.name || '-'}`);
+    console.log(`│ Members:     ${memberCount ?? '-'}`);
+    if (org.created_at) console.log(`│ Created:     ${formatTimestamp(org.created_at)}`);
+    console.log('├─ Tasks ────────────────────────────────────────────');
+    console.log(`│ Pending:     ${totals.pending_count}`);
+    console.log(`│ Active:      ${totals.in_progress_count}`);
+    console.log(`│ Total:       ${totals.total_count}`);
+    console.log('└────────────────────────────────────────────────────\n');
+
+    if (projectRows.length === 0) {
+      console.log(`No projects. Create one with: ats project create ${slug}/<project>`);
+    } else {
+      formatOutput(projectRows, config, PROJECT_COLUMNS);
+    }
+  },
+
+  async rename(args, config) {
+    const { positional, options } = args;
+    const org = positional[0];
+    const newSlug = positional[1] || options.slug;
+
+    if (!org || (!newSlug && !options.name)) {
+      console.error('Error: Organization and a new slug or --name are required');
+      console.error('Usage: ats org rename <org> <new-slug>');
+      console.error('       ats org rename <org> --name <display-name>');
+      process.exit(1);
+    }
+
+    const body = {};
+    if (newSlug && newSlug !== org) body.slug = newSlug;
+    if (options.name) body.name = options.name;
+
+    const updated = await renameOrg(config, org, body);
+    if (body.slug) console.log(`✓ Organization renamed: ${org} → ${updated.slug}`);
+    if (body.name) console.log(`✓ Organization name: ${updated.name || body.name}`);
+
+    // Update local and global config bound to any project in this org
+    if (body.slug) {
+      for (const { scope, path } of rewriteConfigBindings({ org }, { org: updated.slug })) {
+        console.log(`  Updated ${scope} config: ${path}`);
+      }
+    }
+  },
+
+  async delete(args, config) {
+    const org = args.positional[0];
+    if (!org || org.includes('/')) {
+      console.error('Error: Organization slug is required');
+      console.error('Usage: ats org delete <org> [--yes] [--export <file>]');
+      process.exit(1);
+    }
+
+    // Fails with a not-found error for unknown orgs
+    const client = clientFor(config);
+    await client.orgs.get(org);
+    const projects = await client.projects.list(org, { counts: true });
+    const rows = projects.map(proj => toProjectRow(org, proj));
+
+    if (rows.length > 0) {
+      printDeletionSummary(`organization ${org} and its ${rows.length} project(s)`, rows);
+    } else {
+      console.log(`\nAbout to permanently delete organization ${org} (no projects)\n`);
+    }
+    await exportBeforeDeletion(config, rows, args, `${org}-tasks.json`);
+
+    if (!await confirmDeletion(org, args)) {
+      console.log('Aborted.');
+      process.exit(1);
+    }
+
+    await client.orgs.delete(org);
+    console.log(`✓ Organization deleted: ${org}`);
+    printRemovedBindings(rewriteConfigBindings({ org }, null));
+  },
+
+  async invite(args, config) {
+    const usage = 'ats org invite <email|type:id> [--role member] [--org <org>]';
+    const target = args.positional[0];
+    if (!target) {
+      console.error('Error: Invitee is required (email or type:id)');
+      console.error(`Usage: ${usage}`);
+      process.exit(1);
+    }
+
+    const role = validateRole(args.options.role || 'member');
+    const org = resolveOrg(null, config);
+    const body = { role };
+    if (target.includes('@')) {
+      body.email = target;
+    } else {
+      const actor = requireActor(target, usage);
+      body.actor_type = actor.type;
+      body.actor_id = actor.id;
+    }
+
+    const invitation = await clientFor(config).orgs.invitations.create(org, body);
+
+    if (config.format !== 'table') {
+      formatOutput(invitation, config);
+      return;
+    }
+    console.log(`✓ Invited ${target} to ${org} as ${role}`);
+    if (invitation.token) {
+      console.log(`  Token:   ${invitation.token}`);
+      console.log(`  Accept:  ats invitations accept ${invitation.token}`);
+    }
+    if (invitation.expires_at) console.log(`  Expires: ${formatTimestamp(invitation.expires_at)}`);
+  },
+
+  async invitations(args, config) {
+    const org = resolveOrg(args.positional[0], config);
+    const invitations = await clientFor(config).orgs.invitations.list(org);
+
+    if (invitations.length === 0 && config.format === 'table') {
+      console.log(`No invitations for ${org}.`);
+      return;
+    }
+    formatOutput(invitations, config, ORG_INVITATION_COLUMNS);
+  },
+
+  async members(args, config) {
+    const action = args.positional[0] || 'list';
+    const subcmd = orgMembers[action];
+    if (!subcmd) {
+      console.error(`Unknown subcommand: org members ${action}`);
+      console.error(`Available subcommands: ${Object.keys(orgMembers).join(', ')}`);
+      process.exit(1);
+    }
+    await subcmd(args, config);
+  }
 };
 
-// --- Task Commands ---
-commands.create = async function(args, config) {
-  const { positional, options } = args;
-  const title = positional[0] || options.title;
+// --- Permission Commands ---
 
-  if (!title) {
-    console.error('Error: Title is required');
-    console.error('Usage: ats create <title> [options]');
-    console.error('  --type <type>        Task type');
-    console.error('  --channel <channel>  Task channel');
-    console.error('  --priority <1-10>    Priority (default: 5)');
-    console.error('  --description <text> Task description');
-    console.error('  --payload <json>     Task payload as JSON');
-    process.exit(1);
+const ACCESS_LEVELS = ['r', 'rw'];
+
+const PERMISSION_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'actor', label: 'Actor', format: (v, row) => `${row.actor_type}:${row.actor_id}` },
+  { key: 'namespace', label: 'Namespace' },
+  { key: 'access', label: 'Access' },
+  { key: 'granted_by_name', label: 'Granted By' },
+  { key: 'created_at', label: 'Granted', format: formatTimestamp }
+];
+
+/**
+ * Work out the access an actor has on org/project from org membership and
+ * namespace grants. Org owners and admins have rw everywhere; otherwise the
+ * strongest grant on the project, the whole org ("org" or "org/*") or "*" wins.
+ * @param {object[]} permissions - Grants from /orgs/:org/permissions
+ * @param {object[]} members - Members from /orgs/:org/members
+ * @param {{ type: string, id: string }} actor
+ * @returns {{ access: 'rw'|'r'|null, via: string[] }}
+ */
+function effectiveAccess(permissions, members, actor, org, project) {
+  const isActor = (row) => row.actor_type === actor.type && row.actor_id === actor.id;
+
+  const member = members.find(isActor);
+  if (member && (member.role === 'owner' || member.role === 'admin')) {
+    return { access: 'rw', via: [`org ${member.role}`] };
   }
 
-  const body = {
-    title,
-    type: options.type || 'task',
-    channel: config.channel,
-    priority: parseInt(options.priority, 10) || 5,
-    description: options.description,
-    payload: options.payload ? JSON.parse(options.payload) : undefined
+  const scopes = [`${org}/${project}`, `${org}/*`, org, '*'];
+  const grants = permissions.filter(p => isActor(p) && scopes.includes(p.namespace));
+  const best = grants.reduce((acc, p) => ACCESS_LEVELS.indexOf(p.access) > ACCESS_LEVELS.indexOf(acc) ? p.access : acc, null);
+
+  return {
+    access: best,
+    via: grants.filter(p => p.access === best).map(p => `grant #${p.id} on ${p.namespace}`)
   };
+}
 
-  const result = await request(config, 'POST', taskPath(config), body);
-  const task = result.task || result;
-  console.log(`✓ Task created with ID: ${task.id}`);
-  formatOutput(task, config.format, TASK_DETAIL_COLUMNS);
+const permActions = {
+  async grant(args, config) {
+    const usage = 'ats perms grant <type:id> <org/project|channel> <r|rw>';
+    const actor = requireActor(args.positional[1], usage);
+    const namespace = args.positional[2];
+    const access = args.positional[3];
+
+    if (!namespace || !access) {
+      console.error('Error: Namespace and access are required');
+      console.error(`Usage: ${usage}`);
+      process.exit(1);
+    }
+    if (!ACCESS_LEVELS.includes(access)) {
+      throw new Error(`Invalid access: "${access}". Must be one of: ${ACCESS_LEVELS.join(', ')}`);
+    }
+
+    const org = resolveOrg(namespace.includes('/') ? namespace : null, config);
+    const permission = await clientFor(config).orgs.permissions.grant(org, {
+      actor_type: actor.type,
+      actor_id: actor.id,
+      namespace,
+      access
+    });
+    console.log(`✓ Granted ${access} on ${namespace} to ${actor.type}:${actor.id}${permission.id ? ` (#${permission.id})` : ''}`);
+  },
+
+  async list(args, config) {
+    const { options } = args;
+    const org = resolveOrg(null, config);
+    const actor = options.actor ? parseActorString(options.actor) : null;
+
+    const params = {};
+    if (actor) {
+      params.actor_type = actor.type;
+      params.actor_id = actor.id;
+    }
+    if (options.namespace) params.namespace = options.namespace;
+
+    let permissions = await clientFor(config).orgs.permissions.list(org, params);
+
+    // Filter locally as well, in case the server ignores the query
+    if (actor) permissions = permissions.filter(p => p.actor_type === actor.type && p.actor_id === actor.id);
+    if (options.namespace) permissions = permissions.filter(p => p.namespace === options.namespace);
+
+    if (permissions.length === 0 && config.format === 'table') {
+      console.log(`No permissions found in ${org}.`);
+      return;
+    }
+    formatOutput(permissions, config, PERMISSION_COLUMNS);
+  },
+
+  async revoke(args, config) {
+    const id = args.positional[1];
+    if (!id) {
+      console.error('Error: Permission ID is required');
+      console.error('Usage: ats perms revoke <id>');
+      process.exit(1);
+    }
+
+    const org = resolveOrg(null, config);
+    await clientFor(config).orgs.permissions.revoke(org, id);
+    console.log(`✓ Permission ${id} revoked`);
+  },
+
+  async check(args, config) {
+    const actor = requireActor(args.options.check, 'ats perms --check <type:id>');
+    const { organization: org, project } = config;
+
+    const client = clientFor(config);
+    const [permissions, members] = await Promise.all([
+      client.orgs.permissions.list(org),
+      client.orgs.members.list(org)
+    ]);
+    const result = effectiveAccess(permissions, members, actor, org, project);
+
+    if (config.format !== 'table') {
+      formatOutput({ actor: `${actor.type}:${actor.id}`, project: `${org}/${project}`, ...result }, config);
+      return;
+    }
+    if (result.access) {
+      console.log(`${actor.type}:${actor.id} has ${result.access} access to ${org}/${project}`);
+      console.log(`  Via: ${result.via.join(', ')}`);
+    } else {
+      console.log(`${actor.type}:${actor.id} has no access to ${org}/${project}`);
+    }
+  }
 };
 
-commands.get = async function(args, config) {
-  const id = args.positional[0] || args.options.id;
-  if (!id) {
-    console.error('Error: Task ID is required');
-    console.error('Usage: ats get <id>');
+commands.perms = async function(args, config) {
+  const action = args.options.check ? 'check' : (args.positional[0] || 'list');
+  const subcmd = permActions[action];
+  if (!subcmd) {
+    console.error(`Unknown subcommand: perms ${action}`);
+    console.error(`Available subcommands: ${Object.keys(permActions).filter(a => a !== 'check').join(', ')}`);
     process.exit(1);
   }
+  await subcmd(args, config);
+};
 
-  const result = await request(config, 'GET', taskPath(config, `/${id}`));
-  const task = result.task || result;
+// --- Invitation Commands ---
 
-  if (config.format === 'json') {
-    formatOutput(task, config.format);
-  } else {
-    // Pretty print task details
-    console.log('\n┌─ Task Details ─────────────────────────────────────');
-    console.log(`│ ID:          ${task.id}`);
-    console.log(`│ Title:       ${task.title}`);
-    console.log(`│ Status:      ${formatStatus(task.status)}`);
-    console.log(`│ Priority:    ${formatPriority(task.priority)}`);
-    console.log(`│ Type:        ${task.type || '-'}`);
-    console.log(`│ Channel:     ${task.channel || '-'}`);
-    console.log(`│ Source:      ${task.source_name || '-'} (${task.source_type || '-'})`);
-    console.log(`│ Assignee:    ${task.assignee_name || '-'} (${task.assignee_type || '-'})`);
-    console.log(`│ Created:     ${formatTimestamp(task.created_at)}`);
-    console.log(`│ Updated:     ${formatTimestamp(task.updated_at)}`);
-    if (task.lease_expires) {
-      console.log(`│ Lease:       ${formatTimestamp(task.lease_expires)}`);
+/**
+ * After joining an org, offer to switch the default project into it.
+ * `--switch <project>` or `--switch` (first project) skips the question.
+ */
+async function offerProjectSwitch(org, args, config) {
+  const projects = await clientFor(config).projects.list(org);
+  if (projects.length === 0) {
+    console.log(`  ${org} has no projects yet.`);
+    return;
+  }
+
+  let slug = args.options.switch || (args.flags.switch ? projects[0].slug : null);
+  if (!slug) {
+    const names = projects.map(p => p.slug).join(', ');
+    const answer = await prompt(`Switch to a project in ${org}? (${names}) [${projects[0].slug}/n]: `);
+    if (answer === null || /^no?$/i.test(answer)) return;
+    slug = answer || projects[0].slug;
+  }
+
+  await commands.project.switch({ ...args, positional: [`${org}/${slug}`] }, config);
+}
+
+const invitationActions = {
+  async list(args, config) {
+    const invitations = await clientFor(config).auth.invitations.list();
+
+    if (invitations.length === 0 && config.format === 'table') {
+      console.log('No pending invitations.');
+      return;
     }
-    console.log('├─ Description ──────────────────────────────────────');
-    console.log(`│ ${task.description || '(no description)'}`);
-    if (task.payload && Object.keys(task.payload).length > 0) {
-      console.log('├─ Payload ─────────────────────────────────────────');
-      console.log(`│ ${JSON.stringify(task.payload, null, 2).split('\n').join('\n│ ')}`);
+    formatOutput(invitations, config, MY_INVITATION_COLUMNS);
+  },
+
+  async accept(args, config) {
+    const token = args.positional[1];
+    if (!token) {
+      console.error('Error: Invitation token is required');
+      console.error('Usage: ats invitations accept <token> [--switch [project]]');
+      process.exit(1);
     }
-    if (task.outputs && task.outputs.length > 0) {
-      console.log('├─ Outputs ─────────────────────────────────────────');
-      console.log(`│ ${JSON.stringify(task.outputs, null, 2).split('\n').join('\n│ ')}`);
+
+    const result = await clientFor(config).auth.invitations.accept(token);
+    const invitation = result.invitation || result;
+    const org = result.organization?.slug || invitation.org_slug || invitation.organization;
+    console.log(`✓ Invitation accepted${org ? `: you are now a ${invitation.role || 'member'} of ${org}` : ''}`);
+
+    if (org) await offerProjectSwitch(org, args, config);
+  },
+
+  async decline(args, config) {
+    const token = args.positional[1];
+    if (!token) {
+      console.error('Error: Invitation token is required');
+      console.error('Usage: ats invitations decline <token>');
+      process.exit(1);
     }
-    if (task.messages && task.messages.length > 0) {
-      console.log('├─ Messages ────────────────────────────────────────');
-      for (const msg of task.messages) {
-        const content = msg.parts?.[0]?.content || '[non-text]';
-        console.log(`│ [${msg.actor_name}] ${content}`);
-      }
+
+    await clientFor(config).auth.invitations.decline(token);
+    console.log('✓ Invitation declined');
+  }
+};
+
+commands.invitations = async function(args, config) {
+  const action = args.positional[0] || 'list';
+  const subcmd = invitationActions[action];
+  if (!subcmd) {
+    console.error(`Unknown subcommand: invitations ${action}`);
+    console.error(`Available subcommands: ${Object.keys(invitationActions).join(', ')}`);
+    process.exit(1);
+  }
+  await subcmd(args, config);
+};
+
+// --- Auth Commands ---
+
+/**
+ * Mask a secret for display, keeping only a short prefix.
+ */
+function maskSecret(secret) {
+  if (!secret) return '';
+  return `${secret.slice(0, 8)}…`;
+}
+
+/**
+ * Store an API key and identity for the current server URL.
+ */
+function storeCredentials(config, apiKey, identity) {
+  const credentials = loadCredentials();
+  credentials[config.baseUrl] = {
+    api_key: apiKey,
+    actor: identity ? {
+      type: identity.actor_type,
+      id: identity.actor_id,
+      name: identity.display_name || identity.actor_id
+    } : credentials[config.baseUrl]?.actor,
+    saved_at: new Date().toISOString()
+  };
+  saveCredentials(credentials);
+}
+
+/**
+ * Verify an API key against the server, then store it with the identity it belongs to.
+ * @returns {Promise<object>} The key's identity
+ */
+async function loginWithKey(config, apiKey) {
+  const identity = await new AtsClient({ config: { ...config, apiKey } }).auth.me();
+  storeCredentials(config, apiKey, identity);
+  return identity;
+}
+
+/**
+ * Remove the stored credentials for the current server URL.
+ * @returns {boolean} Whether there were any
+ */
+function forgetCredentials(config) {
+  const credentials = loadCredentials();
+  if (!credentials[config.baseUrl]) return false;
+  delete credentials[config.baseUrl];
+  saveCredentials(credentials);
+  return true;
+}
+
+function printIdentity(identity, config) {
+  if (config.format !== 'table') {
+    formatOutput(identity, config);
+    return;
+  }
+  console.log('\n┌─ Identity ─────────────────────────────────────────');
+  console.log(`│ Actor:       ${identity.actor_type}:${identity.actor_id}`);
+  console.log(`│ Name:        ${identity.display_name || '-'}`);
+  console.log(`│ Email:       ${identity.email || '-'}`);
+  if (identity.created_at) {
+    console.log(`│ Created:     ${formatTimestamp(identity.created_at)}`);
+  }
+  if (identity.profile && Object.keys(identity.profile).length > 0) {
+    console.log('├─ Profile ─────────────────────────────────────────');
+    console.log(`│ ${JSON.stringify(identity.profile, null, 2).split('\n').join('\n│ ')}`);
+  }
+  console.log('└────────────────────────────────────────────────────\n');
+}
+
+commands.auth = {
+  async register(args, config) {
+    const { options } = args;
+
+    const body = {
+      actor_type: config.actor.type,
+      actor_id: config.actor.id,
+      display_name: options.name || config.actor.name,
+      email: options.email
+    };
+    if (options.profile) body.profile = JSON.parse(options.profile);
+
+    const result = await clientFor(config).auth.register(body);
+    const identity = result.identity || result;
+    const apiKey = result.api_key || result.token || identity.api_key;
+
+    console.log(`✓ Registered ${body.actor_type}:${body.actor_id}`);
+    if (apiKey) {
+      storeCredentials(config, apiKey, identity);
+      console.log(`  Credentials saved to ${CREDENTIALS_PATH}`);
+    } else {
+      console.log('  No API key was returned; run "ats auth login --key <key>" once you have one.');
     }
-    console.log('└────────────────────────────────────────────────────\n');
+  },
+
+  async login(args, config) {
+    const { options } = args;
+    let apiKey = options.key || process.env.ATS_API_KEY;
+
+    if (!apiKey && !process.stdin.isTTY) {
+      apiKey = (await readStdin()).trim();
+    }
+    if (!apiKey) {
+      console.error('Error: API key is required');
+      console.error('Usage: ats auth login --key <api-key>');
+      console.error('       echo "$KEY" | ats auth login');
+      process.exit(1);
+    }
+
+    const identity = await loginWithKey(config, apiKey);
+    console.log(`✓ Logged in to ${config.baseUrl} as ${identity.actor_type}:${identity.actor_id}`);
+    console.log(`  Credentials saved to ${CREDENTIALS_PATH}`);
+  },
+
+  async whoami(args, config) {
+    if (!config.apiKey) {
+      console.error('Not logged in. Run "ats auth login --key <api-key>" or "ats auth register".');
+      process.exit(1);
+    }
+    printIdentity(await clientFor(config).auth.me(), config);
+  },
+
+  async update(args, config) {
+    const { options } = args;
+    const body = {};
+    if (options.name) body.display_name = options.name;
+    if (options.email) body.email = options.email;
+    if (options.profile) body.profile = JSON.parse(options.profile);
+
+    if (Object.keys(body).length === 0) {
+      console.error('Error: No updates specified');
+      console.error('Usage: ats auth update [--name <display-name>] [--email <email>] [--profile <json>]');
+      process.exit(1);
+    }
+
+    const identity = await clientFor(config).auth.updateMe(body);
+    console.log('✓ Identity updated');
+    printIdentity(identity, config);
+
+    // Keep the stored display name in sync
+    const credentials = loadCredentials();
+    if (credentials[config.baseUrl]?.actor && identity.display_name) {
+      credentials[config.baseUrl].actor.name = identity.display_name;
+      saveCredentials(credentials);
+    }
+  },
+
+  async lookup(args, config) {
+    const actorId = args.positional[0];
+    if (!actorId) {
+      console.error('Error: Actor ID is required');
+      console.error('Usage: ats auth lookup <actor_id>');
+      process.exit(1);
+    }
+    printIdentity(await clientFor(config).auth.identity(actorId), config);
+  },
+
+  async logout(args, config) {
+    if (!forgetCredentials(config)) {
+      console.log(`Not logged in to ${config.baseUrl}`);
+      return;
+    }
+    console.log(`✓ Logged out of ${config.baseUrl}`);
+  }
+};
+
+// --- API Key Commands ---
+
+const APIKEY_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'prefix', label: 'Prefix' },
+  { key: 'created_at', label: 'Created', format: formatTimestamp },
+  { key: 'last_used_at', label: 'Last Used', format: (v) => v ? formatTimestamp(v) : 'never' },
+  { key: 'expires_at', label: 'Expires', format: (v) => v ? formatTimestamp(v) : 'never' }
+];
+
+/**
+ * Parse an expiry given as a duration from now (30d, 12h) or an ISO date/timestamp.
+ * @returns {string} ISO timestamp
+ */
+function parseExpiry(input) {
+  if (/^\d+(ms|s|m|h|d|w)$/.test(input)) {
+    return new Date(Date.now() + parseDuration(input)).toISOString();
   }
-};
+  const d = new Date(input);
+  if (isNaN(d.getTime())) {
+    throw new Error(`Invalid expiry: "${input}". Use a duration (30d, 12h) or an ISO date`);
+  }
+  return d.toISOString();
+}
 
-commands.list = async function(args, config) {
-  const { options, flags } = args;
-  const params = new URLSearchParams();
+/**
+ * The key record and secret from an API key creation response. A response
+ * without a secret is an error: the key exists but can never be used.
+ * @returns {{ apiKey: object, secret: string }}
+ */
+function newApiKeySecret(result) {
+  const apiKey = result.api_key || result;
+  const secret = result.key || apiKey.key || apiKey.secret;
+  if (typeof secret !== 'string' || !secret) {
+    const id = apiKey.id ?? '<id>';
+    throw new ServerError(`The server created API key ${id} but returned no secret; revoke it with: ats apikey revoke ${id}`, {
+      details: result
+    });
+  }
+  return { apiKey, secret };
+}
 
-  // Default to pending unless --all or explicit --status is provided
-  const showAll = flags.all || options.all;
-  if (options.status) {
-    params.append('status', options.status);
-  } else if (!showAll) {
-    params.append('status', 'pending');
+/**
+ * Print a newly created API key, including its secret, exactly once.
+ * @returns {string} The secret
+ */
+function printNewApiKey(result, config, label = 'API key created') {
+  const { apiKey, secret } = newApiKeySecret(result);
+
+  if (config.format !== 'table') {
+    formatOutput(result, config);
+  } else {
+    console.log(`✓ ${label}: ${apiKey.name || apiKey.id}`);
+    if (apiKey.expires_at) console.log(`  Expires: ${formatTimestamp(apiKey.expires_at)}`);
+    console.log(`\n  ${secret}\n`);
+    console.log('⚠ This is the only time the key is shown. Store it somewhere safe now.');
   }
+  return secret;
+}
 
-  if (options.type) params.append('type', options.type);
-  if (options.channel) params.append('channel', options.channel);
-  if (options.assignee) params.append('assignee_id', options.assignee);
-  if (options.limit) params.append('limit', options.limit);
-  if (options.offset) params.append('offset', options.offset);
+commands.apikey = {
+  async create(args, config) {
+    const { options, flags } = args;
+    const body = {};
+    if (options.name) body.name = options.name;
+    if (options.expires) body.expires_at = parseExpiry(options.expires);
+
+    const result = await clientFor(config).auth.apiKeys.create(body);
+    const secret = printNewApiKey(result, config);
+
+    const store = flags.store || (!flags['no-store'] && config.format === 'table'
+      && await confirm('Use this key for the CLI on this machine?'));
+    if (store) {
+      storeCredentials(config, secret, null);
+      console.error(`✓ Key saved to ${CREDENTIALS_PATH}`);
+    }
+  },
 
-  // --since / -S → created_after
-  const since = options.since || options.S;
-  if (since) params.append('created_after', parseTimeString(since));
+  async list(args, config) {
+    const keys = await clientFor(config).auth.apiKeys.list();
 
-  // --updated-since → updated_after
-  if (options['updated-since']) params.append('updated_after', parseTimeString(options['updated-since']));
+    if (keys.length === 0 && config.format === 'table') {
+      console.log('No API keys found. Create one with: ats apikey create');
+      return;
+    }
 
-  // --priority / -p → priority, min_priority, max_priority
-  const priorityInput = options.p || options.priority;
-  if (priorityInput) {
-    for (const [key, value] of Object.entries(parsePriority(priorityInput))) {
-      params.append(key, value);
+    formatOutput(keys, config, APIKEY_COLUMNS);
+  },
+
+  async revoke(args, config) {
+    const id = args.positional[0] || args.options.id;
+    if (!id) {
+      console.error('Error: API key ID is required');
+      console.error('Usage: ats apikey revoke <id>');
+      process.exit(1);
     }
+
+    await clientFor(config).auth.apiKeys.revoke(id);
+    console.log(`✓ API key ${id} revoked`);
   }
+};
 
-  // --search / -q → search
-  const search = options.search || options.q;
-  if (search) params.append('search', search);
+// --- Guardian Commands ---
 
-  // --sort → sort_by + sort_dir
-  if (options.sort) {
-    const sortField = parseSortField(options.sort);
-    params.append('sort_by', sortField);
-    const defaultDir = sortField === 'title' ? 'asc' : 'desc';
-    const sortDir = (flags.reverse || flags.r) ? (defaultDir === 'desc' ? 'asc' : 'desc') : defaultDir;
-    params.append('sort_dir', sortDir);
-  } else if (flags.reverse || flags.r) {
-    params.append('sort_dir', 'asc');
-  }
+const GUARDIAN_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'relationship', label: 'Relationship' },
+  { key: 'actor', label: 'Actor' },
+  { key: 'display_name', label: 'Name' },
+  { key: 'created_at', label: 'Since', format: formatTimestamp }
+];
 
-  // --project-id → project_id
-  if (options['project-id']) params.append('project_id', options['project-id']);
+/**
+ * Flatten a guardian listing into rows, one per relationship in either direction.
+ */
+function guardianRows(result) {
+  const toRow = (entry, relationship) => ({
+    id: entry.id,
+    relationship,
+    actor: `${entry.actor_type || (relationship === 'guardian' ? 'human' : 'agent')}:${entry.actor_id}`,
+    display_name: entry.display_name || '',
+    created_at: entry.created_at
+  });
+  return [
+    ...(result.guardians || []).map(g => toRow(g, 'guardian')),
+    ...(result.guarded_agents || result.agents || []).map(a => toRow(a, 'guarding'))
+  ];
+}
 
-  const query = params.toString();
-  const basePath = taskPath(config);
-  const path = `${basePath}${query ? '?' + query : ''}`;
-  const result = await request(config, 'GET', path);
-  const tasks = result.tasks || result;
-  const count = result.count || tasks.length;
+commands.guardian = {
+  async link(args, config) {
+    const link = await clientFor(config).auth.guardians.link();
 
-  if (tasks.length === 0) {
-    if (!showAll && !options.status) {
-      console.log('No pending tasks. Use --all to see all tasks.');
-    } else {
-      console.log('No tasks found.');
+    if (config.format !== 'table') {
+      formatOutput(link, config);
+      return;
     }
-    return;
-  }
 
-  formatOutput(tasks, config.format, TASK_COLUMNS);
-  const statusNote = !showAll && !options.status ? ' (pending only, use --all for all)' : '';
-  console.log(`\n${count} task(s) found${statusNote}`);
-};
+    console.log('✓ Guardian link created');
+    if (link.url) console.log(`  URL:     ${link.url}`);
+    console.log(`  Token:   ${link.token}`);
+    if (link.expires_at) console.log(`  Expires: ${formatTimestamp(link.expires_at)}`);
+    console.log(`\nAsk a human to run: ats guardian confirm ${link.token}`);
+  },
 
-commands.update = async function(args, config) {
-  const id = args.positional[0] || args.options.id;
-  if (!id) {
-    console.error('Error: Task ID is required');
-    console.error('Usage: ats update <id> [options]');
-    process.exit(1);
-  }
+  async confirm(args, config) {
+    const token = args.positional[0] || args.options.token;
+    if (!token) {
+      console.error('Error: Link token is required');
+      console.error('Usage: ats guardian confirm <token>');
+      process.exit(1);
+    }
 
-  const { options } = args;
-  const body = {};
+    const result = await clientFor(config).auth.guardians.confirm(token);
+    const relationship = result.guardian || result.relationship || result;
+    const agent = relationship.agent_id || relationship.actor_id;
+    console.log(`✓ You are now the guardian of ${agent ? `agent ${agent}` : 'the agent'}`);
+  },
 
-  if (options.title) body.title = options.title;
-  if (options.description) body.description = options.description;
-  if (options.priority) body.priority = parseInt(options.priority, 10);
-  if (options.status) body.status = options.status;
-  if (options.type) body.type = options.type;
-  if (options.channel) body.channel = options.channel;
-  if (options.payload) body.payload = JSON.parse(options.payload);
+  async list(args, config) {
+    const result = await clientFor(config).auth.guardians.list();
 
-  if (Object.keys(body).length === 0) {
-    console.error('Error: No updates specified');
-    process.exit(1);
-  }
+    if (config.format !== 'table') {
+      formatOutput(result, config);
+      return;
+    }
 
-  const result = await request(config, 'PATCH', taskPath(config, `/${id}`), body);
-  const task = result.task || result;
-  console.log(`✓ Task ${id} updated`);
-  formatOutput(task, config.format, TASK_DETAIL_COLUMNS);
-};
+    const rows = guardianRows(result);
+    if (rows.length === 0) {
+      console.log('No guardian relationships. Agents can start one with: ats guardian link');
+      return;
+    }
+    formatOutput(rows, config, GUARDIAN_COLUMNS);
+  },
 
-commands.claim = async function(args, config) {
-  const id = args.positional[0] || args.options.id;
-  if (!id) {
-    console.error('Error: Task ID is required');
-    console.error('Usage: ats claim <id> [--lease <duration_ms>]');
-    process.exit(1);
-  }
+  async remove(args, config) {
+    const id = args.positional[0] || args.options.id;
+    if (!id) {
+      console.error('Error: Relationship ID is required');
+      console.error('Usage: ats guardian remove <id>');
+      process.exit(1);
+    }
 
-  const body = {};
-  if (args.options.lease) {
-    body.lease_duration = parseInt(args.options.lease, 10);
-  }
+    await clientFor(config).auth.guardians.remove(id);
+    console.log(`✓ Guardian relationship ${id} removed`);
+  },
 
-  const result = await request(config, 'POST', taskPath(config, `/${id}/claim`), body);
-  const task = result.task || result;
-  console.log(`✓ Task ${id} claimed`);
-  console.log(`  Assignee: ${task.assignee_name}`);
-  console.log(`  Lease expires: ${formatTimestamp(task.lease_expires)}`);
-};
+  async 'issue-key'(args, config) {
+    const { positional, options } = args;
+    const agentId = positional[0] || options.agent;
+    if (!agentId) {
+      console.error('Error: Agent ID is required');
+      console.error('Usage: ats guardian issue-key <agent_id> [--name <name>] [--expires <when>]');
+      process.exit(1);
+    }
 
-commands.complete = async function(args, config) {
-  const id = args.positional[0] || args.options.id;
-  if (!id) {
-    console.error('Error: Task ID is required');
-    console.error('Usage: ats complete <id> [--outputs <json>]');
-    process.exit(1);
-  }
+    const body = {};
+    if (options.name) body.name = options.name;
+    if (options.expires) body.expires_at = parseExpiry(options.expires);
 
-  const body = {};
-  if (args.options.outputs) {
-    const parsed = JSON.parse(args.options.outputs);
-    body.outputs = Array.isArray(parsed) ? parsed : [parsed];
+    const result = await clientFor(config).auth.guardians.issueKey(agentId, body);
+    printNewApiKey(result, config, `API key issued for agent ${agentId}`);
+    if (config.format === 'table') {
+      console.log(`\nOn the agent's machine: ats auth login --key <key>`);
+    }
   }
-
-  await request(config, 'POST', taskPath(config, `/${id}/complete`), body);
-  console.log(`✓ Task ${id} completed`);
 };
 
-commands.cancel = async function(args, config) {
-  const id = args.positional[0] || args.options.id;
-  if (!id) {
-    console.error('Error: Task ID is required');
-    console.error('Usage: ats cancel <id>');
-    process.exit(1);
-  }
-
-  await request(config, 'POST', taskPath(config, `/${id}/cancel`));
-  console.log(`✓ Task ${id} cancelled`);
-};
+// --- Watch Command (WebSocket) ---
 
-commands.fail = async function(args, config) {
-  const id = args.positional[0] || args.options.id;
-  if (!id) {
-    console.error('Error: Task ID is required');
-    console.error('Usage: ats fail <id> [--reason <text>]');
-    process.exit(1);
-  }
+/**
+ * Read a watch checkpoint: the last event handled, as { id, at }.
+ */
+function loadCheckpoint(file) {
+  if (!existsSync(file)) return null;
+  const saved = JSON.parse(readFileSync(file, 'utf-8'));
+  if (!saved.last_event_id && !saved.last_event_at) return null;
+  return { id: saved.last_event_id ?? null, at: saved.last_event_at ?? null };
+}
 
-  const body = {};
-  if (args.options.reason) {
-    body.reason = args.options.reason;
-  }
+/**
+ * Record the last event handled so a restarted watcher can resume after it.
+ */
+function saveCheckpoint(file, lastEvent) {
+  writeFileSync(file, JSON.stringify({ last_event_id: lastEvent.id, last_event_at: lastEvent.at }, null, 2));
+}
 
-  await request(config, 'POST', taskPath(config, `/${id}/fail`), body);
-  console.log(`✓ Task ${id} marked as failed`);
-};
+const WATCH_EVENT_VERSION = 1;
 
-commands.reject = async function(args, config) {
-  const id = args.positional[0] || args.options.id;
-  if (!id) {
-    console.error('Error: Task ID is required');
-    console.error('Usage: ats reject <id> [--reason <text>]');
-    process.exit(1);
-  }
+/**
+ * Versioned envelope for one watched event, as written by `watch -f json`.
+ * Keeps everything the server sent: the task snapshot and message as-is, any
+ * other payload fields under `data`, and the server's event time in `at`
+ * (`received_at` is when the CLI saw it).
+ */
+function watchEnvelope(msg) {
+  const {
+    id, event_id, type, created_at, timestamp, actor_type, actor_id, actor_name,
+    task: eventTask, task_id, data, subscriptions, replayed, ...extra
+  } = msg;
+  const { task = eventTask ?? null, message = null, ...payload } = data || {};
+  const hasActor = actor_type || actor_id || actor_name;
+
+  const envelope = {
+    version: WATCH_EVENT_VERSION,
+    id: id ?? event_id ?? null,
+    type,
+    at: eventTime(msg),
+    received_at: new Date().toISOString(),
+    actor: hasActor ? { type: actor_type ?? null, id: actor_id ?? null, name: actor_name ?? null } : null,
+    task_id: task?.id ?? task_id ?? null,
+    task,
+    message,
+    data: { ...extra, ...payload }
+  };
+  if (subscriptions) envelope.subscriptions = subscriptions;
+  if (replayed) envelope.replayed = true;
+  return envelope;
+}
 
-  const body = {};
-  if (args.options.reason) {
-    body.reason = args.options.reason;
+/**
+ * Project an envelope onto dot paths (`task.id`, `actor.name`), keeping its
+ * nesting so compact lines read like full ones. The version is always kept.
+ */
+function projectFields(envelope, fields) {
+  const out = { version: envelope.version };
+  for (const field of fields) {
+    const keys = field.split('.');
+    let target = out;
+    for (const key of keys.slice(0, -1)) {
+      if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = getPath(envelope, field) ?? null;
   }
+  return out;
+}
 
-  await request(config, 'POST', taskPath(config, `/${id}/reject`), body);
-  console.log(`✓ Task ${id} rejected`);
-};
-
-commands.reopen = async function(args, config) {
-  const id = args.positional[0] || args.options.id;
-  if (!id) {
-    console.error('Error: Task ID is required');
-    console.error('Usage: ats reopen <id> [--reason <text>]');
-    process.exit(1);
+/**
+ * @param {object} msg - Event from the stream
+ * @param {boolean} isJson - Write one NDJSON envelope per event
+ * @param {string[]} [fields] - Dot paths to keep in JSON output
+ */
+function printWatchEvent(msg, isJson, fields) {
+  if (isJson) {
+    const envelope = watchEnvelope(msg);
+    console.log(JSON.stringify(fields ? projectFields(envelope, fields) : envelope));
+    return;
   }
 
-  const body = {};
-  if (args.options.reason) {
-    body.reason = args.options.reason;
+  // Replayed events show when they happened, live ones when they arrived
+  const at = new Date((msg.replayed && eventTime(msg)) || Date.now());
+  const time = `${at.toLocaleTimeString()}${msg.replayed ? ', replayed' : ''}`;
+  const tag = msg.subscriptions ? ` [${msg.subscriptions.join(', ')}]` : '';
+
+  if (msg.type?.startsWith('task.')) {
+    const task = msg.data?.task || msg.task || {};
+    console.log(`[${time}]${tag} ${msg.type}`);
+    console.log(`  Task #${task.id}: ${task.title || '(no title)'}`);
+    console.log(`  Status: ${task.status ? formatStatus(task.status) : '-'}, Channel: ${task.channel || '-'}`);
+    if (msg.actor_name) {
+      console.log(`  By: ${msg.actor_name}`);
+    }
+    console.log();
+  } else {
+    console.log(`[${time}]${tag} ${msg.type}: ${JSON.stringify(msg)}`);
   }
+}
 
-  await request(config, 'POST', taskPath(config, `/${id}/reopen`), body);
-  console.log(`✓ Task ${id} reopened`);
-};
+/**
+ * Build subscription filters from watch options. List values may be repeated or comma-separated.
+ * @param {object} values - { channel, type, events, assignee: string[], priority: string, mine: boolean }
+ */
+function watchFilters(values, config) {
+  const assignees = [...(values.assignee || []), ...(values.mine ? [config.actor.id] : [])];
+  return {
+    channels: values.channel || null,
+    task_types: values.type || null,
+    event_types: values.events || null,
+    assignee_ids: assignees.length > 0 ? assignees : null,
+    ...parsePriority(values.priority)
+  };
+}
 
-// --- Message Commands ---
-commands.message = {
-  async add(args, config) {
-    const taskId = args.positional[0] || args.options.task;
-    const content = args.positional[1] || args.options.content;
+const SUBSCRIPTION_KEYS = ['channel', 'type', 'events', 'assignee', 'priority', 'mine'];
 
-    if (!taskId || !content) {
-      console.error('Error: Task ID and content are required');
-      console.error('Usage: ats message add <task_id> <content>');
-      console.error('  --type <type>  Content type (default: text)');
-      process.exit(1);
+/**
+ * Parse a named subscription: "<name>:<key>=<value>;<key>=<value>", e.g.
+ * "urgent:priority=8+;type=incident,outage" or "mine:mine".
+ * @returns {{ name: string, values: object }}
+ */
+function parseSubscription(spec) {
+  const index = spec.indexOf(':');
+  const name = index === -1 ? spec : spec.slice(0, index);
+  if (!name) throw new Error(`Invalid subscription: "${spec}". Use <name>:<key>=<value>;...`);
+
+  const values = {};
+  for (const pair of (index === -1 ? '' : spec.slice(index + 1)).split(';').filter(Boolean)) {
+    const [key, value = ''] = pair.split('=');
+    if (!SUBSCRIPTION_KEYS.includes(key)) {
+      throw new Error(`Invalid subscription filter: "${key}". Must be one of: ${SUBSCRIPTION_KEYS.join(', ')}`);
     }
+    if (key === 'mine') values.mine = true;
+    else if (key === 'priority') values.priority = value;
+    else values[key] = value.split(',').map(v => v.trim()).filter(Boolean);
+  }
+  return { name, values };
+}
 
-    const body = {
-      parts: [{
-        type: args.options.type || 'text',
-        content
-      }]
-    };
+/**
+ * Subscriptions and client for `watch` and `relay`, from the watch filter options.
+ * @returns {{ filters: object|object[], client: AtsClient, scope: string }}
+ */
+function watchSetup(args, config) {
+  const { options, flags } = args;
 
-    const result = await request(config, 'POST', taskPath(config, `/${taskId}/messages`), body);
-    const message = result.message || result;
-    console.log(`✓ Message added to task ${taskId}`);
-    formatOutput(message, config.format, MESSAGE_COLUMNS);
-  },
+  const base = {
+    channel: optionList(args, 'channel'),
+    type: optionList(args, 'type'),
+    events: optionList(args, 'events'),
+    assignee: optionList(args, 'assignee'),
+    priority: options.priority || options.p,
+    mine: flags.mine
+  };
+  const named = (args.lists.sub || []).map(parseSubscription);
+  const filters = named.length === 0
+    ? watchFilters(base, config)
+    // Options given outside --sub are defaults for every subscription
+    : named.map(({ name, values }) => ({ name, ...watchFilters({ ...base, ...values }, config) }));
+
+  // Scoped to the current project like every other command, unless --all-projects
+  const allProjects = flags['all-projects'] || !config.useProjectScope;
+  const client = flags['all-projects'] ? new AtsClient({ config: { ...config, useProjectScope: false } }) : clientFor(config);
+  const scope = allProjects ? 'all projects' : `${config.organization}/${config.project}`;
+
+  return { filters, client, scope };
+}
 
-  async list(args, config) {
-    const taskId = args.positional[0] || args.options.task;
+commands.watch = async function(args, config) {
+  const { options, flags } = args;
+  const isJson = config.format === 'json' || config.format === 'ndjson';
+  const fields = optionList(args, 'fields');
+  if (fields && !isJson) {
+    throw new Error('--fields requires --format json');
+  }
 
-    if (!taskId) {
-      console.error('Error: Task ID is required');
-      console.error('Usage: ats message list <task_id>');
-      process.exit(1);
-    }
+  const { filters, client, scope } = watchSetup(args, config);
+  const checkpoint = options.checkpoint;
+  const since = checkpoint ? loadCheckpoint(checkpoint) : null;
 
-    const result = await request(config, 'GET', taskPath(config, `/${taskId}/messages`));
-    const messages = result.messages || result;
+  if (!isJson) {
+    console.log(`Connecting to ${config.baseUrl.replace('http', 'ws')}/ws (${scope})...`);
+  }
 
-    if (messages.length === 0) {
-      console.log('No messages found.');
-      return;
-    }
+  const stream = client.watch(filters, { reconnect: !flags['no-reconnect'], since });
+  let connected = false;
 
-    if (config.format === 'json') {
-      formatOutput(messages, config.format);
-    } else {
-      console.log(`\n─── Messages for Task ${taskId} ───\n`);
-      for (const msg of messages) {
-        const time = formatTimestamp(msg.created_at);
-        const actor = `${msg.actor_name || 'Unknown'} (${msg.actor_type})`;
-        console.log(`[${time}] ${actor}:`);
-        for (const part of msg.parts || []) {
-          if (part.type === 'text') {
-            console.log(`  ${part.content}`);
-          } else {
-            console.log(`  [${part.type}]: ${part.url || part.data || '(binary)'}`);
-          }
-        }
-        console.log();
+  stream.on('open', () => {
+    if (!isJson) {
+      if (connected) {
+        console.log('✓ Reconnected\n');
+      } else {
+        console.log('✓ Connected');
+        if (since) console.log(`Resuming after event ${since.id ?? since.at} from ${checkpoint}`);
+        console.log('Watching for events... (Ctrl+C to stop)\n');
       }
-      console.log(`${messages.length} message(s)`);
     }
-  }
+    connected = true;
+  });
+
+  stream.on('reconnecting', ({ attempt, delay }) => {
+    console.error(`Connection lost; reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${attempt})...`);
+  });
+
+  stream.on('event', (msg) => {
+    printWatchEvent(msg, isJson, fields);
+    if (checkpoint) saveCheckpoint(checkpoint, stream.lastEvent);
+  });
+
+  stream.on('error', (err) => {
+    console.error('WebSocket error:', err.message);
+  });
+
+  stream.on('close', () => {
+    if (!isJson) console.log('\nConnection closed');
+    process.exit(0);
+  });
+
+  // Handle Ctrl+C
+  process.on('SIGINT', () => {
+    if (!isJson) console.log('\nClosing connection...');
+    stream.close();
+  });
+
+  // Keep the process running
+  await new Promise(() => {});
 };
 
-// --- Project Commands ---
+// --- Relay Commands ---
+
+const RELAY_DEAD_LETTER_PATH = join(homedir(), '.ats', 'relay-dead-letter.jsonl');
+const RELAY_DEAD_LETTER_MAX = 1000;
+const RELAY_BACKLOG_MAX = 1000;
+
 /**
- * Parse org/project notation (e.g., "myorg/myproject")
- * @param {string} projectString - Project string in org/project format
- * @returns {{ org: string, project: string } | null}
+ * Signature sent in X-ATS-Signature: HMAC-SHA256 of `<timestamp>.<body>`, hex
+ * encoded. Signing the timestamp lets receivers reject replayed requests.
  */
-function parseProjectString(projectString) {
-  if (!projectString || !projectString.includes('/')) return null;
-  const [org, project] = projectString.split('/', 2);
-  if (!org || !project) return null;
-  return { org, project };
+function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
 }
 
-const PROJECT_COLUMNS = [
-  { key: 'project', label: 'Project' },
-  { key: 'name', label: 'Name' },
-  { key: 'pending_count', label: 'Pending' },
-  { key: 'in_progress_count', label: 'Active' },
-  { key: 'total_count', label: 'Total' }
-];
+/**
+ * POST one event envelope to a webhook.
+ * @returns {Promise<{ ok: boolean, retryable?: boolean, error?: string, retryAfter?: string }>}
+ */
+async function postWebhook(url, body, envelope, opts) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': `ats-cli/${VERSION}`,
+    'X-ATS-Event': envelope.type,
+    'X-ATS-Delivery': opts.deliveryId,
+    'X-ATS-Timestamp': String(timestamp)
+  };
+  if (opts.secret) {
+    headers['X-ATS-Signature'] = signPayload(opts.secret, timestamp, body);
+  }
 
-commands.project = {
-  async init(args, config) {
-    const { positional, options, flags } = args;
+  const controller = new AbortController();
+  const timer = opts.timeout ? setTimeout(() => controller.abort(), opts.timeout) : null;
+  try {
+    const response = await fetch(url, { method: 'POST', headers, body, signal: controller.signal });
+    await response.body?.cancel();
+    if (response.ok) return { ok: true };
+    return {
+      ok: false,
+      retryable: RETRYABLE_STATUSES.includes(response.status),
+      error: `HTTP ${response.status}`,
+      retryAfter: response.headers.get('retry-after')
+    };
+  } catch (err) {
+    const error = err.name === 'AbortError' ? `timed out after ${formatDuration(opts.timeout)}` : err.cause?.message || err.message;
+    return { ok: false, retryable: true, error };
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-    // Parse org/project from positional argument or options
-    let org, project;
-    const projectArg = positional[0];
+/**
+ * Run a shell hook for one event, with the envelope on stdin. The hook's output
+ * goes to stderr so stdout stays a delivery log. A non-zero exit is a failure.
+ */
+function runHook(command, body, envelope, opts) {
+  return new Promise((resolve) => {
+    const child = spawn(command, {
+      shell: true,
+      env: {
+        ...process.env,
+        ATS_EVENT_ID: String(envelope.id ?? ''),
+        ATS_EVENT_TYPE: envelope.type || '',
+        ATS_TASK_ID: String(envelope.task_id ?? '')
+      },
+      stdio: ['pipe', process.stderr, process.stderr]
+    });
+    let timedOut = false;
+    const timer = opts.timeout ? setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+    }, opts.timeout) : null;
+
+    child.stdin.on('error', () => {});
+    child.stdin.end(body);
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      resolve({ ok: false, retryable: false, error: err.message });
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve({ ok: true });
+      else if (timedOut) resolve({ ok: false, retryable: true, error: `timed out after ${formatDuration(opts.timeout)}` });
+      else resolve({ ok: false, retryable: true, error: signal ? `killed by ${signal}` : `exit code ${code}` });
+    });
+  });
+}
 
-    if (projectArg && projectArg.includes('/')) {
-      const parsed = parseProjectString(projectArg);
-      if (parsed) {
-        org = parsed.org;
-        project = parsed.project;
-      }
-    } else {
-      org = options.org || config.organization;
-      project = options.project || config.project;
-    }
+/**
+ * Keep only the newest `max` entries so a dead receiver cannot fill the disk.
+ * The whole file is read and rewritten on every append, which is fine at the
+ * default cap of 1000 entries but grows costly with a much larger --dead-letter-max.
+ */
+function appendDeadLetter(file, entry, max) {
+  mkdirSync(dirname(file), { recursive: true });
+  const lines = existsSync(file) ? readFileSync(file, 'utf-8').split('\n').filter(Boolean) : [];
+  lines.push(JSON.stringify(entry));
+  writeFileSync(file, lines.slice(-max).join('\n') + '\n');
+}
 
-    if (!org || !project) {
-      console.error('Error: Project required in org/project format');
-      console.error('Usage: ats project init <org/project>');
-      console.error('       ats project init --org <org> --project <project>');
-      process.exit(1);
-    }
+/**
+ * Deliver one event to the relay targets: a webhook (`to`) and/or a shell hook
+ * (`exec`). Network errors, timeouts, 408/429/5xx responses and failed hooks are
+ * retried with backoff; deliveries that still fail go to the dead-letter file.
+ * @param {object} msg - Event from the stream
+ * @param {object} opts - { to, exec, secret, retries, timeout, deadLetter, deadLetterMax, onRetry }
+ * @returns {Promise<Array<{ target: string, ok: boolean, attempts: number, error: string|null }>>}
+ */
+async function relayEvent(msg, opts) {
+  const envelope = watchEnvelope(msg);
+  const body = JSON.stringify(envelope);
+  // One id for every attempt, so receivers can drop duplicate deliveries
+  const deliveryId = randomUUID();
+  const retries = opts.retries ?? DEFAULT_RETRIES;
+
+  const targets = [];
+  if (opts.to) {
+    targets.push({ target: opts.to, send: () => postWebhook(opts.to, body, envelope, { ...opts, deliveryId }) });
+  }
+  if (opts.exec) {
+    targets.push({ target: `exec: ${opts.exec}`, send: () => runHook(opts.exec, body, envelope, opts) });
+  }
 
-    // Check if project config already exists in current directory
-    const existingPath = join(process.cwd(), PROJECT_CONFIG_NAME);
-    if (existsSync(existingPath) && !flags.force) {
-      console.error(`Error: Project config already exists at ${existingPath}`);
-      console.error('Use --force to overwrite.');
-      process.exit(1);
+  const results = [];
+  for (const { target, send } of targets) {
+    let result;
+    let attempts = 0;
+    for (;;) {
+      attempts++;
+      result = await send();
+      if (result.ok || !result.retryable || attempts > retries) break;
+      const delay = retryDelay(attempts, result.retryAfter);
+      opts.onRetry?.(target, attempts, result.error, delay);
+      await sleep(delay);
     }
 
-    // Verify org/project exist on the server unless --skip-existence-check
-    if (!flags['skip-existence-check']) {
-      try {
-        await request(config, 'GET', `/orgs/${org}/projects/${project}`);
-      } catch (err) {
-        console.error(`Error: Project '${org}/${project}' does not exist on the server.`);
-        console.error(`Create it first with 'ats project create ${org}/${project}', or use --skip-existence-check to bind to a project that will be created later.`);
-        process.exit(1);
-      }
+    if (!result.ok && opts.deadLetter) {
+      appendDeadLetter(opts.deadLetter, {
+        failed_at: new Date().toISOString(),
+        target,
+        delivery_id: deliveryId,
+        attempts,
+        error: result.error,
+        event: envelope
+      }, opts.deadLetterMax ?? RELAY_DEAD_LETTER_MAX);
     }
+    results.push({ target, ok: result.ok, attempts, error: result.error ?? null });
+  }
+  return results;
+}
 
-    const projectConfig = {
-      organization: org,
-      project: project
-    };
+/**
+ * Run `handle` over pushed items one at a time, in order. At most `max` items
+ * wait their turn; when the backlog is full, `push` refuses the item and returns false.
+ * @param {Function} handle - Async handler; it must not throw
+ * @param {number} max
+ */
+function createSerialQueue(handle, max) {
+  const pending = [];
+  let running = null;
 
-    // Optionally include URL if different from default
-    if (options.url && options.url !== DEFAULT_BASE_URL) {
-      projectConfig.url = options.url;
-    }
+  const drain = async () => {
+    while (pending.length > 0) await handle(pending.shift());
+    running = null;
+  };
 
-    const savedPath = saveProjectConfig(projectConfig);
-    console.log(`✓ Directory bound to project: ${org}/${project}`);
-    console.log(`  Config: ${savedPath}`);
-    console.log('\nAll ats commands in this directory will now use this project.');
-  },
+  return {
+    push(item) {
+      if (pending.length >= max) return false;
+      pending.push(item);
+      running ??= drain();
+      return true;
+    },
+    get size() {
+      return pending.length;
+    },
+    /** Resolves once every pushed item has been handled. */
+    idle: () => running || Promise.resolve()
+  };
+}
 
-  async list(args, config) {
-    // Get all orgs, then all projects for each org, flatten into project list
-    const orgsResult = await request(config, 'GET', '/orgs');
-    const orgs = orgsResult.organizations || [];
+commands.relay = async function(args, config) {
+  const { options, flags } = args;
+  const { to, exec } = options;
 
-    if (orgs.length === 0) {
-      console.log('No organizations found. Create one with: ats project create <org/project>');
-      return;
-    }
+  if (!to && !exec) {
+    console.error('Error: --to <url> or --exec <command> is required');
+    console.error('Usage: ats relay --to <url> [--secret <secret>] [--exec <command>] [watch filters]');
+    process.exit(1);
+  }
+  if (to && !/^https?:\/\//.test(to)) {
+    throw new Error(`Invalid --to URL: "${to}". Must start with http:// or https://`);
+  }
 
-    const allProjects = [];
-    for (const org of orgs) {
-      const projectsResult = await request(config, 'GET', `/orgs/${org.slug}/projects?counts=true`);
-      const projects = projectsResult.projects || [];
+  const deadLetterMax = options['dead-letter-max'] ? parseInt(options['dead-letter-max'], 10) : RELAY_DEAD_LETTER_MAX;
+  if (!(deadLetterMax > 0)) {
+    throw new Error(`Invalid --dead-letter-max: "${options['dead-letter-max']}". Must be a positive number`);
+  }
+  const backlogMax = options['backlog-max'] ? parseInt(options['backlog-max'], 10) : RELAY_BACKLOG_MAX;
+  if (!(backlogMax > 0)) {
+    throw new Error(`Invalid --backlog-max: "${options['backlog-max']}". Must be a positive number`);
+  }
 
-      for (const proj of projects) {
-        allProjects.push({
-          project: `${org.slug}/${proj.slug}`,
-          name: proj.name || proj.slug,
-          pending_count: proj.pending_count || 0,
-          in_progress_count: proj.in_progress_count || 0,
-          total_count: proj.total_count || 0,
-          org_slug: org.slug,
-          project_slug: proj.slug
-        });
-      }
+  const isJson = config.format === 'json' || config.format === 'ndjson';
+  const secret = options.secret || process.env.ATS_RELAY_SECRET || null;
+  const deadLetter = options['dead-letter'] || RELAY_DEAD_LETTER_PATH;
+  const { filters, client, scope } = watchSetup(args, config);
+  const checkpoint = options.checkpoint;
+  const since = checkpoint ? loadCheckpoint(checkpoint) : null;
+
+  if (to && !secret) {
+    console.error('Warning: no --secret or ATS_RELAY_SECRET; webhook requests will not be signed');
+  }
+
+  const relayOpts = {
+    to,
+    exec,
+    secret,
+    retries: config.retries,
+    timeout: config.timeout,
+    deadLetter,
+    deadLetterMax,
+    onRetry: (target, attempt, error, delay) => {
+      console.error(`  ${target}: attempt ${attempt} failed (${error}); retrying in ${(delay / 1000).toFixed(1)}s`);
     }
+  };
 
-    if (allProjects.length === 0) {
-      console.log('No projects found. Create one with: ats project create <org/project>');
+  const log = (msg, results) => {
+    const task = msg.data?.task || msg.task || {};
+    if (isJson) {
+      console.log(JSON.stringify({
+        event_id: msg.id ?? msg.event_id ?? null,
+        type: msg.type,
+        task_id: task.id ?? null,
+        deliveries: results,
+        timestamp: new Date().toISOString()
+      }));
       return;
     }
-
-    // Mark current project
-    const currentProject = `${config.organization}/${config.project}`;
-    for (const proj of allProjects) {
-      if (proj.project === currentProject) {
-        proj.project = `${proj.project} *`;
-      }
+    for (const result of results) {
+      const outcome = result.ok
+        ? `delivered (${result.attempts} attempt${result.attempts === 1 ? '' : 's'})`
+        : `failed after ${result.attempts} attempt${result.attempts === 1 ? '' : 's'}: ${result.error}; saved to ${deadLetter}`;
+      console.log(`[${new Date().toLocaleTimeString()}] ${msg.type} #${task.id ?? '-'} → ${result.target}: ${outcome}`);
     }
+  };
 
-    formatOutput(allProjects, config.format, PROJECT_COLUMNS);
-    console.log(`\n${allProjects.length} project(s) (* = current)`);
-  },
-
-  async create(args, config) {
-    const { positional, options } = args;
-    const projectArg = positional[0];
+  if (!isJson) {
+    const targets = [to, exec && `exec: ${exec}`].filter(Boolean).join(', ');
+    console.log(`Relaying events from ${config.baseUrl.replace('http', 'ws')}/ws (${scope}) to ${targets}`);
+  }
 
-    if (!projectArg || !projectArg.includes('/')) {
-      console.error('Error: Project required in org/project format');
-      console.error('Usage: ats project create <org/project> [--name "Project Name"] [--description "..."]');
-      process.exit(1);
+  const stream = client.watch(filters, { reconnect: !flags['no-reconnect'], since });
+  let connected = false;
+  // Deliver one event at a time so receivers see them in order. While a target
+  // is down, events wait here; beyond --backlog-max they go to the dead-letter file.
+  const queue = createSerialQueue(async (msg) => {
+    try {
+      log(msg, await relayEvent(msg, relayOpts));
+      // Only advance past events that were handled, so a restart re-relays the rest
+      if (checkpoint) {
+        saveCheckpoint(checkpoint, { id: msg.id ?? msg.event_id ?? null, at: eventTime(msg) || new Date().toISOString() });
+      }
+    } catch (err) {
+      console.error(`Error relaying ${msg.type}: ${err.message}`);
     }
+  }, backlogMax);
 
-    const parsed = parseProjectString(projectArg);
-    if (!parsed) {
-      console.error('Error: Invalid project format. Use org/project');
-      process.exit(1);
+  stream.on('open', () => {
+    if (!isJson) {
+      console.log(connected ? '✓ Reconnected' : '✓ Connected (Ctrl+C to stop)\n');
     }
+    connected = true;
+  });
 
-    const { org, project } = parsed;
+  stream.on('reconnecting', ({ attempt, delay }) => {
+    console.error(`Connection lost; reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${attempt})...`);
+  });
 
-    // Check if org exists, create if not
-    try {
-      await request(config, 'GET', `/orgs/${org}`);
-    } catch {
-      // Org doesn't exist, create it
-      console.log(`Creating organization: ${org}`);
-      await request(config, 'POST', '/orgs', { slug: org, name: org });
-    }
+  stream.on('event', (msg) => {
+    if (queue.push(msg)) return;
+    const error = `relay backlog full (${queue.size} events waiting)`;
+    appendDeadLetter(deadLetter, {
+      failed_at: new Date().toISOString(),
+      target: 'relay',
+      delivery_id: null,
+      attempts: 0,
+      error,
+      event: watchEnvelope(msg)
+    }, deadLetterMax);
+    const task = msg.data?.task || msg.task || {};
+    console.error(`${msg.type} #${task.id ?? '-'}: ${error}; saved to ${deadLetter} without delivering`);
+  });
 
-    // Create the project
-    const body = {
-      slug: project,
-      name: options.name || project,
-      description: options.description
-    };
+  stream.on('error', (err) => {
+    console.error('WebSocket error:', err.message);
+  });
 
-    const result = await request(config, 'POST', `/orgs/${org}/projects`, body);
-    const proj = result.project || result;
-    console.log(`✓ Project created: ${org}/${proj.slug}`);
-  },
+  stream.on('close', async () => {
+    await queue.idle();
+    if (!isJson) console.log('\nConnection closed');
+    process.exit(0);
+  });
 
-  async switch(args, config) {
-    const { positional } = args;
-    const projectArg = positional[0];
+  process.on('SIGINT', () => {
+    if (!isJson) console.log('\nClosing connection...');
+    stream.close();
+  });
 
-    if (!projectArg || !projectArg.includes('/')) {
-      console.error('Error: Project required in org/project format');
-      console.error('Usage: ats project switch <org/project>');
-      process.exit(1);
-    }
+  await new Promise(() => {});
+};
 
-    const parsed = parseProjectString(projectArg);
-    if (!parsed) {
-      console.error('Error: Invalid project format. Use org/project');
-      process.exit(1);
-    }
+// --- Worker Commands ---
 
-    const { org, project } = parsed;
+const STDERR_TAIL_LINES = 20;
 
-    // Verify project exists
-    await request(config, 'GET', `/orgs/${org}/projects/${project}`);
+/**
+ * Environment variables describing a task, passed to worker child processes.
+ */
+function taskEnv(task, config) {
+  return {
+    ATS_TASK_ID: String(task.id),
+    ATS_TASK_TITLE: task.title || '',
+    ATS_TASK_TYPE: task.type || '',
+    ATS_TASK_CHANNEL: task.channel || '',
+    ATS_TASK_PRIORITY: String(task.priority ?? ''),
+    ATS_TASK_DESCRIPTION: task.description || '',
+    ATS_TASK_PAYLOAD: JSON.stringify(task.payload ?? {}),
+    // Let the child call back into ATS (e.g. `ats message add $ATS_TASK_ID ...`)
+    ATS_URL: config.baseUrl,
+    ATS_ORG: config.organization,
+    ATS_PROJECT: config.project
+  };
+}
 
-    // Save to global config file
-    const globalConfig = loadGlobalConfig();
-    globalConfig.organization = org;
-    globalConfig.project = project;
-    saveGlobalConfig(globalConfig);
+/**
+ * Run a command for a task. The task JSON is written to the child's stdin and
+ * exposed through ATS_TASK_* environment variables. Stdout is captured; stderr is
+ * passed through to our stderr and its tail kept for failure reports.
+ * @param {object} task - Task being worked on
+ * @param {string[]} command - Command and arguments
+ * @param {object} opts - { config, timeout, onStdout, onStderr }
+ * @returns {{ child: ChildProcess, done: Promise<{ code, signal, stdout, stderrTail, timedOut }> }}
+ */
+function runTaskCommand(task, command, opts) {
+  const child = spawn(command[0], command.slice(1), {
+    env: { ...process.env, ...taskEnv(task, opts.config) },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
 
-    console.log(`✓ Switched to project: ${org}/${project}`);
-  },
+  let stdout = '';
+  let stderr = '';
+  let timedOut = false;
+  let timer = null;
 
-  async current(args, config) {
-    const { projectPath } = loadConfig();
-    const currentProject = `${config.organization}/${config.project}`;
+  child.stdout.on('data', (chunk) => {
+    stdout += chunk;
+    opts.onStdout?.(chunk.toString());
+  });
+  child.stderr.on('data', (chunk) => {
+    process.stderr.write(chunk);
+    stderr = (stderr + chunk).slice(-16384);
+    opts.onStderr?.(chunk.toString());
+  });
 
-    console.log(`Current project: ${currentProject}`);
-    if (projectPath) {
-      console.log(`  Source: ${projectPath}`);
-    } else {
-      console.log(`  Source: global config`);
-    }
-  },
+  // The child may exit without reading stdin
+  child.stdin.on('error', () => {});
+  child.stdin.end(JSON.stringify(task));
 
-  async show(args, config) {
-    const { global: globalConfig, project: projectConfig, projectPath } = loadConfig();
+  if (opts.timeout) {
+    timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+      setTimeout(() => child.kill('SIGKILL'), 5000).unref();
+    }, opts.timeout);
+  }
 
-    if (config.format === 'json') {
-      console.log(JSON.stringify({
-        current: `${config.organization}/${config.project}`,
-        global: {
-          path: GLOBAL_CONFIG_PATH,
-          project: globalConfig.organization && globalConfig.project
-            ? `${globalConfig.organization}/${globalConfig.project}`
-            : null,
-          url: globalConfig.url || DEFAULT_BASE_URL
-        },
-        local: projectPath ? {
-          path: projectPath,
-          project: projectConfig.organization && projectConfig.project
-            ? `${projectConfig.organization}/${projectConfig.project}`
-            : null,
-          url: projectConfig.url || null
-        } : null,
-        effective: {
-          project: `${config.organization}/${config.project}`,
-          url: config.baseUrl,
-          actor: config.actor
-        }
-      }, null, 2));
-      return;
-    }
+  const done = new Promise((resolve) => {
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      resolve({ code: null, signal: null, stdout, stderrTail: err.message, timedOut });
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      const stderrTail = stderr.trimEnd().split('\n').slice(-STDERR_TAIL_LINES).join('\n');
+      resolve({ code, signal, stdout, stderrTail, timedOut });
+    });
+  });
+
+  return { child, done };
+}
+
+/**
+ * Turn captured stdout into task outputs: JSON if it parses, raw text otherwise.
+ */
+function outputsFromStdout(stdout) {
+  const text = stdout.trim();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { stdout: text };
+  }
+}
 
-    console.log('\n┌─ Project Configuration ────────────────────────────');
-    console.log(`│ Current:       ${config.organization}/${config.project}`);
-    console.log('├─ Global Config ────────────────────────────────────');
-    console.log(`│ Path:          ${GLOBAL_CONFIG_PATH}`);
-    const globalProject = globalConfig.organization && globalConfig.project
-      ? `${globalConfig.organization}/${globalConfig.project}`
-      : '(not set)';
-    console.log(`│ Project:       ${globalProject}`);
-    console.log(`│ URL:           ${globalConfig.url || '(default)'}`);
+/**
+ * Build the failure reason reported for a command that did not succeed.
+ */
+function failureReason(result, timeout) {
+  let reason;
+  if (result.timedOut) {
+    reason = `Command timed out after ${formatDuration(timeout)}`;
+  } else if (result.code === null && !result.signal) {
+    reason = `Command could not be started`;
+  } else if (result.signal) {
+    reason = `Command killed by ${result.signal}`;
+  } else {
+    reason = `Command exited with code ${result.code}`;
+  }
+  return result.stderrTail ? `${reason}\n${result.stderrTail}` : reason;
+}
 
-    console.log('├─ Local Config ─────────────────────────────────────');
-    if (projectPath) {
-      console.log(`│ Path:          ${projectPath}`);
-      const localProject = projectConfig.organization && projectConfig.project
-        ? `${projectConfig.organization}/${projectConfig.project}`
-        : '(not set)';
-      console.log(`│ Project:       ${localProject}`);
-      console.log(`│ URL:           ${projectConfig.url || '(inherited)'}`);
+commands.work = async function(args, config) {
+  const { options, rest: command } = args;
+
+  if (!command.length) {
+    console.error('Error: Command is required');
+    console.error('Usage: ats work [options] -- <command> [args...]');
+    console.error('  --type <type>          Only take tasks of this type');
+    console.error('  --channel <channel>    Only take tasks from this channel');
+    console.error('  --concurrency <n>      Tasks to run in parallel (default: 1)');
+    console.error('  --timeout <duration>   Per-task timeout (e.g. 30s, 10m, 1h)');
+    console.error('  --lease <ms>           Lease duration, renewed while the command runs (default: 60000)');
+    console.error('  --poll <duration>      Polling interval when events are unavailable (default: 10s)');
+    process.exit(1);
+  }
+
+  const concurrency = parseInt(options.concurrency, 10) || 1;
+  const taskTimeout = parseDuration(options.timeout);
+  const pollInterval = parseDuration(options.poll) || 10000;
+  // Without events we rely entirely on polling; with them polling is only a safety net
+  const safetyPollInterval = 60000;
+  const leaseMs = options.lease ? parseInt(options.lease, 10) : null;
+  const isJson = config.format === 'json' || config.format === 'ndjson';
+  const client = clientFor(config);
+
+  const running = new Map(); // task id -> child process
+  let draining = false;
+  let filling = false;
+  let refillRequested = false;
+  let pollTimer = null;
+  let stream = null;
+  let resolveDrained;
+  const drained = new Promise((resolve) => { resolveDrained = resolve; });
+
+  const log = (event, task, text, extra = {}) => {
+    if (isJson) {
+      console.log(JSON.stringify({ event, task_id: task?.id ?? null, ...extra, timestamp: new Date().toISOString() }));
     } else {
-      console.log('│ (no local config found)');
+      console.log(`[${new Date().toLocaleTimeString()}] ${text}`);
     }
+  };
 
-    console.log('├─ Effective Settings ───────────────────────────────');
-    console.log(`│ Project:       ${config.organization}/${config.project}`);
-    console.log(`│ URL:           ${config.baseUrl}`);
-    console.log(`│ Actor:         ${config.actor.name} (${config.actor.type})`);
-    console.log('└────────────────────────────────────────────────────\n');
-  },
+  const runTask = async (task) => {
+    const started = Date.now();
+    log('task.started', task, `▶ Task #${task.id}: ${task.title || '(no title)'}`);
 
-  async rename(args, config) {
-    const { positional, options } = args;
-    const projectArg = positional[0];
-    const targetArg = positional[1];
+    const { child, done } = runTaskCommand(task, command, { config, timeout: taskTimeout });
+    running.set(task.id, child);
 
-    if (!projectArg || !projectArg.includes('/')) {
-      console.error('Error: Project required in org/project format');
-      console.error('Usage: ats project rename <org/project> <new-org/new-project>');
-      console.error('       ats project rename <org/project> --slug <new-project-slug>');
-      console.error('       ats project rename <org/project> --name <display-name>');
-      process.exit(1);
-    }
+    let leaseLost = false;
+    const stopLease = keepLeaseAlive(client, task.id, leaseMs, (err) => {
+      leaseLost = true;
+      log('task.lease_lost', task, `✗ Task #${task.id} lease lost (${err.message}), stopping command`);
+      child.kill('SIGTERM');
+    });
 
-    const parsed = parseProjectString(projectArg);
-    if (!parsed) {
-      console.error('Error: Invalid project format. Use org/project');
-      process.exit(1);
+    const result = await done;
+    stopLease();
+
+    try {
+      if (leaseLost) {
+        // Another worker may own the task now; do not report a result for it
+      } else if (result.code === 0 && !result.timedOut) {
+        await client.tasks.complete(task.id, outputsFromStdout(result.stdout));
+        log('task.completed', task, `✓ Task #${task.id} completed (${formatDuration(Date.now() - started)})`,
+          { exit_code: 0, duration_ms: Date.now() - started });
+      } else {
+        await client.tasks.fail(task.id, failureReason(result, taskTimeout));
+        log('task.failed', task, `✗ Task #${task.id} failed (${result.timedOut ? 'timeout' : `exit ${result.code ?? result.signal}`})`,
+          { exit_code: result.code, signal: result.signal, timed_out: result.timedOut, duration_ms: Date.now() - started });
+      }
+    } catch (err) {
+      console.error(`Error: Could not report result for task ${task.id}: ${err.message}`);
     }
 
-    const { org, project } = parsed;
+    running.delete(task.id);
+    if (draining) {
+      if (running.size === 0) resolveDrained();
+    } else {
+      fill();
+    }
+  };
 
-    // Parse target - can be org/project format or just project slug
-    let newOrg = null;
-    let newProject = options.slug || null;
-    const newName = options.name;
+  // Claim pending tasks until all slots are busy
+  const fill = async () => {
+    if (draining) return;
+    if (filling) {
+      refillRequested = true;
+      return;
+    }
+    filling = true;
 
-    if (targetArg) {
-      if (targetArg.includes('/')) {
-        const targetParsed = parseProjectString(targetArg);
-        if (targetParsed) {
-          if (targetParsed.org !== org) {
-            newOrg = targetParsed.org;
-          }
-          if (targetParsed.project !== project) {
-            newProject = targetParsed.project;
+    try {
+      do {
+        refillRequested = false;
+        const free = concurrency - running.size;
+        if (free <= 0) break;
+
+        const params = { status: 'pending', sort_by: 'priority', sort_dir: 'desc', limit: String(free * 2) };
+        if (options.type) params.type = options.type;
+        if (options.channel) params.channel = options.channel;
+        const { tasks } = await client.tasks.list(params);
+        const candidates = tasks.filter(t => !running.has(t.id));
+
+        let claimed = 0;
+        for (const candidate of candidates) {
+          if (draining || claimed >= free) break;
+          try {
+            const task = await client.tasks.claim(candidate.id, { lease: leaseMs });
+            claimed++;
+            runTask({ ...candidate, ...task });
+          } catch (err) {
+            // Most likely claimed by another worker first
+            if (config.verbose) console.error(`  Could not claim task ${candidate.id}: ${err.message}`);
           }
         }
-      } else {
-        // Just a project slug
-        newProject = targetArg;
-      }
+      } while (refillRequested && !draining);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+    } finally {
+      filling = false;
     }
+  };
 
-    if (!newOrg && !newProject && !newName) {
-      console.error('Error: Must specify target org/project, --slug, or --name');
-      console.error('Usage: ats project rename <org/project> <new-org/new-project>');
-      console.error('       ats project rename <org/project> --slug <new-project-slug>');
-      console.error('       ats project rename <org/project> --name <display-name>');
-      process.exit(1);
-    }
+  const schedulePoll = () => {
+    clearTimeout(pollTimer);
+    if (draining) return;
+    const interval = stream?.isOpen() ? safetyPollInterval : pollInterval;
+    pollTimer = setTimeout(async () => {
+      await fill();
+      schedulePoll();
+    }, interval);
+  };
 
-    let finalOrg = org;
-    let finalProject = project;
+  const connect = () => {
+    try {
+      stream = client.watch({
+        channels: options.channel ? [options.channel] : null,
+        task_types: options.type ? [options.type] : null,
+        event_types: ['task.created', 'task.reopened', 'task.lease_expired', 'task.updated']
+      });
+      stream.on('open', () => schedulePoll());
+      stream.on('event', () => fill());
+      stream.on('close', () => {
+        if (draining) return;
+        if (config.verbose) console.error('  Event connection closed, falling back to polling');
+        stream = null;
+        schedulePoll();
+      });
+    } catch (err) {
+      if (config.verbose) console.error(`  ${err.message}; using polling only`);
+      stream = null;
+    }
+  };
 
-    // Rename org if needed
-    if (newOrg) {
-      const orgBody = { slug: newOrg };
-      const orgResult = await request(config, 'PATCH', `/orgs/${org}`, orgBody);
-      const updatedOrg = orgResult.organization || orgResult;
-      finalOrg = updatedOrg.slug || newOrg;
-      console.log(`✓ Organization renamed: ${org} → ${finalOrg}`);
+  const shutdown = () => {
+    if (draining) {
+      // Second signal: stop children now; their leases expire and the tasks return to pending
+      console.error('\nForcing shutdown...');
+      for (const child of running.values()) child.kill('SIGTERM');
+      process.exit(130);
+    }
+    draining = true;
+    clearTimeout(pollTimer);
+    stream?.close();
+    if (running.size === 0) {
+      resolveDrained();
+    } else {
+      console.error(`\nDraining ${running.size} running task(s)... (press Ctrl+C again to force)`);
     }
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 
-    // Rename project if needed
-    if (newProject || newName) {
-      const projBody = {};
-      if (newProject) projBody.slug = newProject;
-      if (newName) projBody.name = newName;
+  if (!isJson) {
+    const filtersText = [options.type && `type=${options.type}`, options.channel && `channel=${options.channel}`]
+      .filter(Boolean).join(', ') || 'all tasks';
+    console.log(`Worker started (${filtersText}, concurrency ${concurrency}). Press Ctrl+C to stop.`);
+  }
 
-      const projResult = await request(config, 'PATCH', `/orgs/${finalOrg}/projects/${project}`, projBody);
-      const updatedProj = projResult.project || projResult;
-      finalProject = updatedProj.slug || newProject || project;
-      console.log(`✓ Project renamed: ${project} → ${finalProject}`);
-      if (newName) {
-        console.log(`  Name: ${updatedProj.name || newName}`);
-      }
-    }
+  connect();
+  await fill();
+  schedulePoll();
 
-    console.log(`✓ Project: ${finalOrg}/${finalProject}`);
+  await drained;
+  if (!isJson) console.log('Worker stopped');
+  process.exit(0);
+};
 
-    // Update local config if this was the current project
-    const { project: projectConfig, projectPath } = loadConfig();
-    if (projectPath && projectConfig.organization === org && projectConfig.project === project) {
-      if (newOrg || newProject) {
-        projectConfig.organization = finalOrg;
-        projectConfig.project = finalProject;
-        saveProjectConfig(projectConfig, dirname(projectPath).replace(/\/.ats$/, ''));
-        console.log(`  Updated local config: ${projectPath}`);
-      }
-    }
+const MESSAGE_BATCH_BYTES = 4000;
 
-    // Update global config if this was the current project
-    const globalConfig = loadGlobalConfig();
-    if (globalConfig.organization === org && globalConfig.project === project) {
-      if (newOrg || newProject) {
-        globalConfig.organization = finalOrg;
-        globalConfig.project = finalProject;
-        saveGlobalConfig(globalConfig);
-        console.log(`  Updated global config: ${GLOBAL_CONFIG_PATH}`);
-      }
+/**
+ * Collect child output and post it to a task thread in batches, either every
+ * `interval` ms or as soon as a batch grows past MESSAGE_BATCH_BYTES.
+ * @param {AtsClient} client - Client for the task's project
+ * @returns {{ push: Function, flush: Function, stop: Function }}
+ */
+function createMessageBatcher(client, taskId, interval) {
+  let buffer = '';
+  let sending = Promise.resolve();
+
+  const flush = () => {
+    if (!buffer) return sending;
+    const content = buffer;
+    buffer = '';
+    sending = sending.then(() =>
+      client.messages.add(taskId, content).catch((err) => {
+        if (client.config.verbose) console.error(`  Could not post output to task ${taskId}: ${err.message}`);
+      })
+    );
+    return sending;
+  };
+
+  const timer = setInterval(flush, interval);
+
+  return {
+    push(text) {
+      buffer += text;
+      if (buffer.length >= MESSAGE_BATCH_BYTES) flush();
+    },
+    flush,
+    stop() {
+      clearInterval(timer);
+      return flush();
     }
+  };
+}
+
+commands.exec = async function(args, config) {
+  const { positional, options, flags, rest: command } = args;
+  const id = positional[0] || options.id;
+
+  if (!id || !command.length) {
+    console.error('Error: Task ID and command are required');
+    console.error('Usage: ats exec <id> [options] -- <command> [args...]');
+    console.error('  --lease <ms>           Lease duration, renewed while the command runs (default: 60000)');
+    console.error('  --timeout <duration>   Kill the command and fail the task after this long');
+    console.error('  --flush <duration>     How often output is posted as task messages (default: 5s)');
+    console.error('  --no-messages          Do not stream output to task messages');
+    process.exit(1);
   }
-};
 
-// --- Watch Command (WebSocket) ---
-commands.watch = async function(args, config) {
-  const { options } = args;
+  const leaseMs = options.lease ? parseInt(options.lease, 10) : null;
+  const timeout = parseDuration(options.timeout);
+  const streamMessages = !flags['no-messages'];
 
-  const wsUrl = config.baseUrl.replace('http', 'ws') + '/ws';
-  const params = new URLSearchParams({
-    actor_type: config.actor.type,
-    actor_id: config.actor.id,
-    actor_name: config.actor.name
+  const client = clientFor(config);
+  const task = await client.tasks.claim(id, { lease: leaseMs });
+  console.error(`✓ Task ${id} claimed, running: ${command.join(' ')}`);
+
+  const batcher = streamMessages ? createMessageBatcher(client, id, parseDuration(options.flush) || 5000) : null;
+
+  const { child, done } = runTaskCommand(task, command, {
+    config,
+    timeout,
+    onStdout: (text) => {
+      process.stdout.write(text);
+      batcher?.push(text);
+    },
+    onStderr: (text) => batcher?.push(text)
   });
 
-  const isJson = config.format === 'json';
+  let leaseLost = null;
+  const stopLease = keepLeaseAlive(client, id, leaseMs, (err) => {
+    leaseLost = err;
+    console.error(`Error: Lease renewal for task ${id} was rejected (${err.message}); stopping command`);
+    child.kill('SIGTERM');
+  });
 
-  if (!isJson) console.log(`Connecting to ${wsUrl}...`);
+  // Forward Ctrl+C to the child; the task is then failed with the signal
+  const forward = (signal) => child.kill(signal);
+  process.on('SIGINT', forward);
+  process.on('SIGTERM', forward);
 
-  const ws = new WebSocket(`${wsUrl}?${params}`);
+  const result = await done;
+  stopLease();
+  await batcher?.stop();
 
-  ws.onopen = () => {
-    if (!isJson) console.log('✓ Connected');
+  if (leaseLost) {
+    // The task may belong to another worker now; leave it alone
+    process.exit(1);
+  }
 
-    // Subscribe to events
-    const subscription = {
-      type: 'subscribe',
-      id: 'cli-sub-1'
-    };
+  if (result.code === 0 && !result.timedOut) {
+    await client.tasks.complete(id, outputsFromStdout(result.stdout));
+    console.error(`✓ Task ${id} completed`);
+    process.exit(0);
+  }
 
-    if (options.channel) {
-      subscription.channels = [options.channel];
-    }
-    if (options.type) {
-      subscription.task_types = [options.type];
+  await client.tasks.fail(id, failureReason(result, timeout));
+  console.error(`✗ Task ${id} marked as failed`);
+  process.exit(result.code || 1);
+};
+
+// --- Wait Command ---
+
+const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled', 'failed', 'rejected'];
+const TERMINAL_STATUSES = ['completed', 'failed', 'rejected', 'cancelled'];
+
+/**
+ * Exit codes for `ats wait` / `ats ask`, one per final task status.
+ */
+const WAIT_EXIT_CODES = {
+  completed: 0,
+  failed: 10,
+  rejected: 11,
+  cancelled: 12,
+  timeout: 13
+};
+
+/**
+ * Wait until every task reaches one of the `until` statuses.
+ * Follows task events over the WebSocket and polls the tasks whenever the
+ * socket is unavailable (and occasionally while it is up, as a safety net).
+ * @param {AtsClient} client - Client for the tasks' project
+ * @param {Array<string|number>} ids - Task IDs to wait for
+ * @param {object} opts - { until: string[], timeout: ms, pollInterval: ms }
+ * @returns {Promise<{ tasks: object[], timedOut: boolean }>} Last known state of each task, in `ids` order
+ */
+async function waitForTasks(client, ids, opts = {}) {
+  const { verbose } = client.config;
+  const until = opts.until || TERMINAL_STATUSES;
+  const pollInterval = opts.pollInterval || 5000;
+  const safetyPollInterval = 60000;
+  const pending = new Set(ids.map(String));
+  const latest = new Map();
+
+  let stream = null;
+  let pollTimer = null;
+  let timeoutTimer = null;
+  let finish;
+  const finished = new Promise((resolve) => { finish = resolve; });
+
+  const done = (timedOut) => {
+    clearTimeout(pollTimer);
+    clearTimeout(timeoutTimer);
+    stream?.close();
+    finish({ tasks: ids.map(id => latest.get(String(id))), timedOut });
+  };
+
+  const check = async (id) => {
+    const task = await client.tasks.get(id);
+    latest.set(id, task);
+    if (pending.has(id) && until.includes(task.status)) {
+      pending.delete(id);
+      if (pending.size === 0) done(false);
     }
-    if (options.events) {
-      subscription.event_types = options.events.split(',');
+  };
+
+  const checkAll = async () => {
+    try {
+      await Promise.all([...pending].map(check));
+    } catch (err) {
+      // Transient errors are retried on the next poll
+      if (verbose) console.error(`  Poll failed: ${err.message}`);
     }
+  };
 
-    ws.send(JSON.stringify(subscription));
-    if (!isJson) console.log('Watching for events... (Ctrl+C to stop)\n');
+  const schedulePoll = () => {
+    clearTimeout(pollTimer);
+    if (pending.size === 0) return;
+    const interval = stream?.isOpen() ? safetyPollInterval : pollInterval;
+    pollTimer = setTimeout(async () => {
+      await checkAll();
+      schedulePoll();
+    }, interval);
   };
 
-  ws.onmessage = (event) => {
-    const msg = JSON.parse(event.data);
+  if (opts.timeout) {
+    timeoutTimer = setTimeout(() => done(true), opts.timeout);
+  }
 
-    if (msg.type === 'pong' || msg.type === 'connected' || msg.type === 'subscribed') {
-      return;
-    }
+  // Fail fast on unknown tasks; they would never finish
+  try {
+    await Promise.all([...pending].map(check));
+  } catch (err) {
+    clearTimeout(timeoutTimer);
+    throw err;
+  }
+  if (pending.size === 0) return finished;
 
-    if (isJson) {
+  try {
+    stream = client.watch();
+    stream.on('open', () => {
+      // Catch up on anything that changed while connecting
+      checkAll();
+      schedulePoll();
+    });
+    stream.on('event', (msg) => {
       const task = msg.data?.task || msg.task || {};
-      const jsonEvent = {
-        event: msg.type,
-        task_id: task.id ?? null,
-        title: task.title ?? null,
-        status: task.status ?? null,
-        channel: task.channel ?? null,
-        timestamp: new Date().toISOString()
-      };
-      console.log(JSON.stringify(jsonEvent));
-      return;
+      const id = String(task.id ?? msg.task_id ?? '');
+      if (pending.has(id)) {
+        check(id).catch(() => schedulePoll());
+      }
+    });
+    stream.on('close', () => {
+      if (pending.size === 0) return;
+      if (verbose) console.error('  Event connection closed, falling back to polling');
+      stream = null;
+      schedulePoll();
+    });
+  } catch (err) {
+    if (verbose) console.error(`  ${err.message}; using polling only`);
+  }
+  schedulePoll();
+
+  return finished;
+}
+
+/**
+ * Exit code for a finished wait: the first non-success status in argument order.
+ */
+function waitExitCode({ tasks, timedOut }) {
+  if (timedOut) return WAIT_EXIT_CODES.timeout;
+  for (const task of tasks) {
+    const code = WAIT_EXIT_CODES[task.status];
+    if (code) return code;
+  }
+  return 0;
+}
+
+/**
+ * Parse --until: a comma-separated list of task statuses (default: the final ones).
+ */
+function parseUntil(value) {
+  if (!value) return TERMINAL_STATUSES;
+  const until = value.split(',').map(s => s.trim()).filter(Boolean);
+  for (const status of until) {
+    if (!TASK_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: "${status}". Must be one of: ${TASK_STATUSES.join(', ')}`);
+    }
+  }
+  return until;
+}
+
+commands.wait = async function(args, config) {
+  const { positional, options } = args;
+  const ids = positional.length ? positional : (options.id ? [options.id] : []);
+
+  if (ids.length === 0) {
+    console.error('Error: At least one task ID is required');
+    console.error('Usage: ats wait <id...> [options]');
+    console.error('  --until <statuses>     Statuses to wait for (default: completed,failed,rejected,cancelled)');
+    console.error('  --timeout <duration>   Give up after this long (e.g. 30s, 10m, 1h)');
+    console.error('  --poll <duration>      Polling interval when events are unavailable (default: 5s)');
+    process.exit(1);
+  }
+
+  const until = parseUntil(options.until);
+
+  const result = await clientFor(config).tasks.wait(ids, {
+    until,
+    timeout: parseDuration(options.timeout),
+    pollInterval: parseDuration(options.poll)
+  });
+
+  if (config.format !== 'table') {
+    formatOutput(ids.length === 1 ? result.tasks[0] : result.tasks, config);
+  } else {
+    for (const task of result.tasks) {
+      if (!until.includes(task.status)) {
+        console.log(`… Task ${task.id} is still ${formatStatus(task.status)}`);
+      } else {
+        const mark = task.status === 'completed' ? '✓' : '✗';
+        console.log(`${mark} Task ${task.id} ${formatStatus(task.status)}`);
+      }
     }
+    if (result.timedOut) console.error(`Timed out after ${formatDuration(parseDuration(options.timeout))}`);
+  }
 
-    const time = new Date().toLocaleTimeString();
+  process.exit(waitExitCode(result));
+};
 
-    if (msg.type?.startsWith('task.')) {
-      const task = msg.data?.task || msg.task || {};
-      console.log(`[${time}] ${msg.type}`);
-      console.log(`  Task #${task.id}: ${task.title || '(no title)'}`);
-      console.log(`  Status: ${formatStatus(task.status)}, Channel: ${task.channel || '-'}`);
-      if (msg.actor_name) {
-        console.log(`  By: ${msg.actor_name}`);
+// --- Ask Command ---
+
+/**
+ * Extract a human's answer from task outputs. Accepts a bare string output or
+ * the first object output carrying an `answer`, `choice`, `text` or `value` key.
+ * @returns {string|null}
+ */
+function extractAnswer(outputs) {
+  for (const output of outputs || []) {
+    if (typeof output === 'string') return output;
+    if (output && typeof output === 'object') {
+      for (const key of ['answer', 'choice', 'text', 'value']) {
+        if (output[key] !== undefined && output[key] !== null) return String(output[key]);
       }
-      console.log();
-    } else {
-      console.log(`[${time}] ${msg.type}: ${JSON.stringify(msg)}`);
     }
-  };
+  }
+  return null;
+}
 
-  ws.onerror = (err) => {
-    console.error('WebSocket error:', err.message);
-  };
+/**
+ * Reason given when a task was rejected, failed or cancelled, if any.
+ */
+function taskReason(task) {
+  return task.reason || task.rejection_reason || task.status_reason || null;
+}
 
-  ws.onclose = () => {
-    if (!isJson) console.log('\nConnection closed');
-    process.exit(0);
+commands.ask = async function(args, config) {
+  const { positional, options, flags } = args;
+  const question = positional[0] || options.question;
+
+  if (!question) {
+    console.error('Error: Question is required');
+    console.error('Usage: ats ask <question> [options]');
+    console.error('  --choices <a,b,...>    Allowed answers (free text if omitted)');
+    console.error('  --channel <channel>    Channel to ask on');
+    console.error('  --priority <1-10>      Priority (default: 5)');
+    console.error('  --description <text>   Extra context for the human');
+    console.error('  --timeout <duration>   Give up after this long (e.g. 30m, 1h)');
+    console.error('  --keep                 Keep the task open on timeout (default: cancel it)');
+    process.exit(1);
+  }
+
+  const choices = options.choices ? options.choices.split(',').map(c => c.trim()).filter(Boolean) : null;
+  const timeout = parseDuration(options.timeout);
+
+  const payload = {
+    question,
+    answer_type: choices ? 'choice' : 'text',
+    ...(choices ? { choices } : {}),
+    ...(options.payload ? JSON.parse(options.payload) : {})
   };
 
-  // Handle Ctrl+C
-  process.on('SIGINT', () => {
-    console.log('\nClosing connection...');
-    ws.close();
+  const client = clientFor(config);
+  const created = await client.tasks.create({
+    title: question,
+    type: options.type || 'approval',
+    priority: parseInt(options.priority, 10) || 5,
+    description: options.description,
+    payload
+  });
+  console.error(`Waiting for an answer on task ${created.id}...`);
+
+  const waited = await client.tasks.wait(created.id, {
+    timeout,
+    pollInterval: parseDuration(options.poll)
   });
+  const task = waited.tasks[0];
 
-  // Keep alive
-  setInterval(() => {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({ type: 'ping' }));
+  if (waited.timedOut && !flags.keep) {
+    try {
+      await client.tasks.cancel(created.id);
+    } catch (err) {
+      if (config.verbose) console.error(`  Could not cancel task ${created.id}: ${err.message}`);
     }
-  }, 30000);
+  }
 
-  // Keep the process running
-  await new Promise(() => {});
+  const answer = task.status === 'completed' ? extractAnswer(task.outputs) : null;
+  const reason = task.status === 'completed' ? null : taskReason(task);
+
+  if (config.format !== 'table') {
+    formatOutput({
+      task_id: task.id,
+      status: waited.timedOut ? 'timeout' : task.status,
+      answer,
+      reason,
+      outputs: task.outputs || []
+    }, config);
+  } else if (waited.timedOut) {
+    console.error(`No answer within ${formatDuration(timeout)}${flags.keep ? '' : `; task ${created.id} cancelled`}`);
+  } else if (task.status === 'completed') {
+    if (choices && answer !== null && !choices.includes(answer)) {
+      console.error(`Warning: answer "${answer}" is not one of: ${choices.join(', ')}`);
+    }
+    console.log(answer ?? '');
+  } else {
+    console.error(`Task ${task.id} ${task.status}`);
+    if (reason) console.log(reason);
+  }
+
+  process.exit(waitExitCode(waited));
 };
 
 // ============================================================================
@@ -1385,6 +5803,15 @@ TASK COMMANDS:
     --priority <1-10>        Priority level (default: 5)
     --description <text>     Task description
     --payload <json>         Task payload as JSON
+    --template <name>        Start from a template; the title becomes optional
+    --var <name>=<value>     Fill a template variable (repeatable)
+    --idempotency-key <key>  Key to deduplicate reruns (also on claim, complete)
+
+  template list              List task templates (project .ats/templates, then ~/.ats/templates)
+  template show <name>       Show a template and its variables
+  template new <name>        Create a template (--title, --type, --channel, --priority, ...)
+    --global                 Save to ~/.ats/templates instead of the project
+    --force                  Overwrite an existing template
 
   get <id>                   Get task details
   list                       List pending tasks (default)
@@ -1421,6 +5848,46 @@ TASK COMMANDS:
   reopen <id>                Reopen a task from terminal state
     --reason <text>          Reason for reopening
 
+  bulk <action> [ids...|-]   Cancel, fail, reject, reopen, complete or update many tasks
+                             (IDs as arguments, "-" or piped stdin, or ats list filters)
+    --status, --channel, --type, --since, -p, -q, --all   Select tasks like ats list
+    --reason <text>          Reason for fail, reject and reopen
+    --outputs <json>         Outputs for complete
+    --set <field>=<value>    Field to change for update (repeatable)
+    --dry-run                Show what would change without changing anything
+    --concurrency <n>        Requests in parallel (default: 5)
+    --yes, -y                Skip the confirmation asked above 10 tasks
+
+  wait <id...>               Block until tasks reach a final status
+    --until <statuses>       Statuses to wait for (default: completed,failed,rejected,cancelled)
+    --timeout <duration>     Give up after this long (e.g. 30s, 10m, 1h)
+    --poll <duration>        Polling interval when events are unavailable (default: 5s)
+                             Exit codes: 0 completed, 10 failed, 11 rejected,
+                             12 cancelled, 13 timeout
+
+  ask <question>             Ask a human and block until they answer
+    --choices <a,b,...>      Allowed answers (free text if omitted)
+    --channel <channel>      Channel to ask on
+    --priority <1-10>        Priority (default: 5)
+    --description <text>     Extra context for the human
+    --timeout <duration>     Give up after this long (e.g. 30m, 1h)
+    --keep                   Keep the task open on timeout (default: cancel it)
+                             Prints the answer (or rejection reason); exit codes as for wait
+
+WORKER COMMANDS:
+  work -- <command> [args]   Continuously claim pending tasks and run a command for each
+    --type <type>            Only take tasks of this type
+    --channel <channel>      Only take tasks from this channel
+    --concurrency <n>        Tasks to run in parallel (default: 1)
+    --timeout <duration>     Per-task timeout, e.g. 30s, 10m, 1h (task is failed)
+    --lease <ms>             Lease duration, renewed while the command runs (default: 60000)
+    --poll <duration>        Polling interval when events are unavailable (default: 10s)
+  exec <id> -- <command>     Claim a task and run a command for it, renewing the lease
+    --lease <ms>             Lease duration, renewed while the command runs (default: 60000)
+    --timeout <duration>     Kill the command and fail the task after this long
+    --flush <duration>       How often output is posted as task messages (default: 5s)
+    --no-messages            Do not stream output to task messages
+
 PROJECT COMMANDS:
   project init [org/project]    Bind current directory to a project
     --force                     Overwrite existing config
@@ -1433,36 +5900,154 @@ PROJECT COMMANDS:
                                 Rename org and/or project
     --slug <slug>               New project slug only
     --name <name>               New display name
+  project delete <org/project>  Delete a project (asks you to type its name)
+    --yes, -y                   Skip the confirmation
+    --export <file>             Export the project's tasks to JSON first
   project switch <org/project>  Switch default project
   project current               Show current project binding
   project show                  Show full config with sources
 
+ORGANIZATION COMMANDS:
+  org list                   List organizations with project and task totals
+  org create <slug>          Create an organization
+    --name <name>            Display name
+  org show [org]             Show an org's projects, member count and task totals
+  org rename <org> <new-slug>
+                             Rename an org (updates configs bound to it)
+    --name <name>            New display name
+  org delete <org>           Delete an org and all its projects (asks you to type its slug)
+    --yes, -y                Skip the confirmation
+    --export <file>          Export the org's tasks to JSON first
+  org members list [org]     List members and roles (default: current org)
+  org members add <type:id> [org]
+                             Add a member (e.g. human:alice)
+    --role <role>            owner, admin or member (default: member)
+  org members role <type:id> <role> [org]
+                             Change a member's role
+  org members remove <type:id> [org]
+                             Remove a member
+  org invite <email|type:id> Invite someone to the org
+    --role <role>            owner, admin or member (default: member)
+  org invitations [org]      List the org's invitations
+    --org <slug>             Organization (default: current org)
+
+  invitations                List invitations sent to you
+  invitations accept <token> Accept an invitation, then offer to switch into the org
+    --switch [project]       Switch without asking (default: the org's first project)
+  invitations decline <token>
+                             Decline an invitation
+
+PERMISSION COMMANDS:
+  perms grant <type:id> <org/project|channel> <r|rw>
+                             Grant read or read-write access to a namespace
+  perms list                 List permission grants in the current org
+    --actor <type:id>        Only this actor's grants
+    --namespace <ns>         Only grants on this namespace
+  perms revoke <id>          Revoke a permission grant
+  perms --check <type:id>    Show an actor's effective access to the current project
+
+AUTH COMMANDS:
+  auth register              Register the current actor as an identity and store its key
+    --name <name>            Display name (default: --actor-name)
+    --email <email>          Email address
+    --profile <json>         Profile data as JSON
+  auth login                 Store an API key for the current server (verified first)
+    --key <api-key>          API key (or pipe it on stdin, or set ATS_API_KEY)
+  auth whoami                Show the authenticated identity
+  auth update                Update the authenticated identity
+    --name <name>            New display name
+    --email <email>          New email
+    --profile <json>         New profile data as JSON
+  auth lookup <actor_id>     Look up a public identity
+  auth logout                Forget the stored API key for the current server
+
+  apikey create              Create an API key (the secret is shown only once)
+    --name <name>            Key name
+    --expires <when>         Expiry: duration from now (30d, 12h) or ISO date
+    --store                  Use the new key for this CLI without asking
+    --no-store               Do not offer to store the key
+  apikey list                List your API keys (prefix only)
+  apikey revoke <id>         Revoke an API key
+
+  guardian link              (agent) Create a token a human uses to become your guardian
+  guardian confirm <token>   (human) Become the guardian of the agent that created the token
+  guardian list              List your guardians and the agents you guard
+  guardian remove <id>       Remove a guardian relationship
+  guardian issue-key <agent_id>
+                             (human) Issue an API key for an agent you guard
+    --name <name>            Key name
+    --expires <when>         Expiry: duration from now (30d, 12h) or ISO date
+
 OTHER COMMANDS:
   health                     Check service health
   stats                      Show task statistics overview
-  watch                      Watch for real-time events
-    --channel <channel>      Filter by channel
-    --type <type>            Filter by task type
+  watch                      Watch for real-time events in the current project
+    --channel <channels>     Filter by channel (repeatable or comma-separated)
+    --type <types>           Filter by task type (repeatable or comma-separated)
     --events <types>         Comma-separated event types
+    --priority, -p <pri>     Filter by priority: 8, 7+, or 5-8
+    --assignee <ids>         Filter by assignee ID (repeatable or comma-separated)
+    --mine                   Only tasks assigned to you
+    --sub <name>:<filters>   Named subscription, repeatable, e.g. "urgent:priority=8+;type=incident"
+                             (keys: channel, type, events, assignee, priority, mine)
+    --all-projects           Watch every project instead of the current one
+    --checkpoint <file>      Save the last event seen; resume after it on restart
+    --no-reconnect           Exit when the connection drops instead of reconnecting
+    --fields <paths>         With -f json, keep only these fields (e.g. type,task.id,actor.name)
+  relay                      Forward events to a webhook and/or shell hook
+    --to <url>               POST each event envelope as JSON to this URL
+    --secret <secret>        Sign requests with HMAC-SHA256 (or ATS_RELAY_SECRET)
+    --exec <command>         Run a shell command per event, with the event on stdin
+    --dead-letter <file>     Where failed deliveries go (default: ~/.ats/relay-dead-letter.jsonl)
+    --dead-letter-max <n>    Keep at most this many failed deliveries (default: 1000)
+    --backlog-max <n>        Events waiting for delivery before new ones are dead-lettered (default: 1000)
+    (also accepts the watch filters, --checkpoint and --no-reconnect)
+
+  export                     Write tasks with their messages and outputs as JSON lines
+    --output, -o <file>      Write to a file instead of stdout
+    (accepts the ats list filters; all statuses unless --status is given)
+  import <file|->            Recreate exported tasks in a project
+    --to <org/project>       Project to import into (default: current project)
+    --preserve-status        Restore completed, failed, cancelled and rejected tasks
+                             (created pending first; a worker may claim one in between)
+    --preserve-history       Re-post each task's messages
+    --id-map <file>          Old-to-new ID map, used to resume (default: <file>.idmap.json)
 
   message add <task_id> <content>   Add a message to a task
     --type <type>            Content type (default: text)
   message list <task_id>     List messages for a task
 
+  events list                Query task event history (oldest first)
+    --task <id>              Events of one task
+    --type <types>           Comma-separated event types (e.g. task.claimed,task.failed)
+    --actor <type:id>        Events caused by an actor (a bare id matches any type)
+    --since, -S <time>       Events after (1h, 2d, today, ISO)
+    --until <time>           Events before (same formats)
+    --limit <n>              Maximum events, the most recent kept (default: 100)
+  history <task_id>          A task's events and messages as one timeline
+
 GLOBAL OPTIONS:
   --url, -u <url>            Service URL (default: https://ats.difflab.ai)
   --org <slug>               Override default organization
   --project <slug>           Override default project
-  --format, -f <format>      Output format: table, json (default: table)
+  --format, -f <format>      Output format: table, json, ndjson, csv, tsv, yaml, markdown,
+                             or template='{{id}}\\t{{title}}' (default: table)
+  --columns <keys>           Columns to show, in order (e.g. id,title,assignee_name,payload.pr)
+  --color <when>             Color output: auto, always, never (default: auto; NO_COLOR disables)
+  --wrap                     Wrap long table cells instead of cutting them to the terminal width
   --actor-type <type>        Actor type: human, agent, system (default: agent)
   --actor-id <id>            Actor ID (default: claude-code)
   --actor-name <name>        Actor display name (default: Claude Code)
+  --api-key <key>            API key (default: from "ats auth login")
+  --request-timeout <dur>    Per-request timeout, 0 to disable (default: 30s)
+  --retries <n>              Retries for timeouts, network errors, 429 and 5xx (default: 3)
   --verbose, -v              Verbose output
   --help, -h                 Show this help
 
 CONFIGURATION:
   Global config: ~/.ats/config
   Project config: .ats/config (walks up directory tree)
+  Credentials: ~/.ats/credentials (per server URL, written by "ats auth")
 
   Example config:
   {
@@ -1491,6 +6076,17 @@ ENVIRONMENT VARIABLES:
   ATS_ACTOR_TYPE             Default actor type
   ATS_ACTOR_ID               Default actor ID
   ATS_ACTOR_NAME             Default actor name
+  ATS_API_KEY                API key sent as "Authorization: Bearer <key>"
+  ATS_TIMEOUT                Per-request timeout (e.g. 30s, 2m; 0 disables)
+  ATS_RETRIES                Retry count for failed requests
+
+EXIT CODES:
+  1   Usage error or other failure      22  Not found (404/410)
+  20  Network error or timeout          23  Conflict (409), e.g. already claimed
+  21  Authentication (401/403)          24  Validation (400/422, other 4xx)
+  25  Server error (5xx, 429, non-JSON response)
+  10-13 are used by wait/ask for the task outcome. With -f json, errors are
+  written to stderr as {"error": {type, message, status, code, exit_code}}.
 
 EXAMPLES:
   ats list                                  # Show pending tasks
@@ -1501,9 +6097,13 @@ EXAMPLES:
   ats create "Review PR #123" --priority 8  # Create a task
   ats get 42                                # View task details
   ats claim 42                              # Claim a task
+  ats wait 42 --timeout 30m -f json         # Block until the task is finished
+  ats ask "Deploy v2?" --choices yes,no     # Ask a human and print the answer
   ats complete 42                           # Mark complete
   ats message add 42 "On it"                # Add a comment
   ats watch --channel support               # Watch events
+  ats work --type review -- ./review.sh     # Process review tasks as they arrive
+  ats exec 42 -- make deploy                # Run a command for one task
 
   ats project list                          # List all projects
   ats project switch myorg/myproject        # Switch to a project
@@ -1512,6 +6112,18 @@ EXAMPLES:
   ats project rename myorg/old neworg/new   # Rename org and project
   ats project current                       # Show current project
   ats project show                          # Show full config
+  ats org show acme                         # Projects, members and task totals
+  ats org members add human:alice --role admin
+                                            # Add an org member
+  ats org invite alice@example.com          # Invite a teammate
+  ats invitations accept <token>            # Join an org
+  ats perms grant agent:bot acme/web rw     # Give an agent write access
+  ats perms --check agent:bot               # Who can do what on this project
+
+  ats auth register --email me@example.com  # Register and store an API key
+  ats auth whoami                           # Show current identity
+  ats apikey create --name ci --expires 90d # Mint a key for CI
+  ats guardian confirm <token>              # Take responsibility for an agent
 `);
 }
 
@@ -1537,7 +6149,15 @@ async function main() {
     process.exit(1);
   }
 
-  const config = getConfig({ ...args.options, ...args.flags });
+  let config;
+  try {
+    config = getConfig({ ...args.options, ...args.flags });
+  } catch (err) {
+    // Invalid settings such as ATS_TIMEOUT=abc
+    console.error(`Error: ${err.message}`);
+    process.exit(err instanceof AtsError ? err.exitCode : 1);
+  }
+  colorEnabled = shouldUseColor(config.color);
 
   try {
     const cmd = commands[args.command];
@@ -1569,17 +6189,79 @@ async function main() {
       process.exit(1);
     }
   } catch (err) {
-    console.error(`Error: ${err.message}`);
+    if (config.format === 'json' || config.format === 'ndjson') {
+      const error = err instanceof AtsError ? err.toJSON() : { type: 'error', message: err.message, exit_code: 1 };
+      console.error(JSON.stringify({ error }));
+    } else {
+      console.error(`Error: ${err.message}`);
+    }
     if (config.verbose) {
+      if (err.details) console.error(`  Details: ${JSON.stringify(err.details)}`);
       console.error(err.stack);
     }
-    process.exit(1);
+    process.exit(err instanceof AtsError ? err.exitCode : 1);
   }
 }
 
-// Run main only when executed directly (not imported for testing)
-if (realpathSync(process.argv[1] || '') === fileURLToPath(import.meta.url)) {
+// Run main only when executed directly (not imported as a library or for testing)
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
   main();
 }
 
-export { parseTimeString, parsePriority, parseSortField };
+export {
+  AtsClient,
+  EventStream,
+  AtsError,
+  NetworkError,
+  AuthError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  ServerError,
+  parseArgs,
+  parseTimeString,
+  parsePriority,
+  parseSortField,
+  parseDuration,
+  keepLeaseAlive,
+  parseSubscription,
+  parseUpdateFields,
+  parseExport,
+  loadTemplate,
+  listTemplates,
+  applyTemplate,
+  createPriority,
+  importRecord,
+  planBulkChange,
+  bulkSelectStatuses,
+  parseFormat,
+  formatOutput,
+  toYaml,
+  textWidth,
+  truncateText,
+  wrapText,
+  fitWidths,
+  shouldUseColor,
+  parseProjectString,
+  parseActorString,
+  maskSecret,
+  parseExpiry,
+  newApiKeySecret,
+  loginWithKey,
+  forgetCredentials,
+  extractAnswer,
+  guardianRows,
+  orgTotals,
+  parseUntil,
+  waitForTasks,
+  waitExitCode,
+  watchEnvelope,
+  projectFields,
+  signPayload,
+  relayEvent,
+  createSerialQueue,
+  effectiveAccess,
+  taskTimeline,
+  filterEvents,
+  rewriteConfigBindings
+};
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExpiry, newApiKeySecret, ServerError } from '../index.js';
+
+// ============================================================================
+// parseExpiry
+// ============================================================================
+
+describe('parseExpiry', () => {
+  it('reads durations from now', () => {
+    const before = Date.now();
+    const expires = Date.parse(parseExpiry('30d'));
+    const month = 30 * 24 * 60 * 60 * 1000;
+    assert.ok(expires >= before + month && expires <= Date.now() + month);
+  });
+
+  it('reads ISO dates', () => {
+    assert.equal(parseExpiry('2027-01-01'), '2027-01-01T00:00:00.000Z');
+  });
+
+  it('rejects anything else', () => {
+    assert.throws(() => parseExpiry('next week'), /Invalid expiry: "next week"/);
+  });
+});
+
+// ============================================================================
+// newApiKeySecret
+// ============================================================================
+
+describe('newApiKeySecret', () => {
+  it('finds the secret in the supported response shapes', () => {
+    assert.equal(newApiKeySecret({ key: 'ats_1', api_key: { id: 1 } }).secret, 'ats_1');
+    assert.equal(newApiKeySecret({ api_key: { id: 2, key: 'ats_2' } }).secret, 'ats_2');
+    assert.equal(newApiKeySecret({ id: 3, secret: 'ats_3' }).secret, 'ats_3');
+  });
+
+  it('fails clearly when the response has no secret', () => {
+    assert.throws(() => newApiKeySecret({ api_key: { id: 4, name: 'ci' } }), (err) =>
+      err instanceof ServerError && /API key 4 but returned no secret/.test(err.message));
+  });
+});
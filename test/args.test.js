@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs } from '../index.js';
+
+// ============================================================================
+// parseArgs
+// ============================================================================
+
+describe('parseArgs', () => {
+  it('splits command, subcommand and positional arguments', () => {
+    const args = parseArgs(['message', 'add', '42', 'hello']);
+    assert.equal(args.command, 'message');
+    assert.equal(args.subcommand, 'add');
+    assert.deepEqual(args.positional, ['42', 'hello']);
+  });
+
+  it('parses options and flags', () => {
+    const args = parseArgs(['list', '--status', 'pending', '-f', 'json', '--all', '--limit=5']);
+    assert.deepEqual(args.options, { status: 'pending', f: 'json', limit: '5' });
+    assert.deepEqual(args.flags, { all: true });
+  });
+
+  it('never gives boolean flags a value', () => {
+    const args = parseArgs(['bulk', 'cancel', '--dry-run', '12', '-y', '13', '--yes', '14']);
+    assert.deepEqual(args.flags, { 'dry-run': true, y: true, yes: true });
+    assert.deepEqual(args.positional, ['12', '13', '14']);
+  });
+
+  it('passes everything after "--" through untouched', () => {
+    const args = parseArgs(['work', '--type', 'review', '--', 'node', 'worker.js', '--verbose', '-x']);
+    assert.equal(args.command, 'work');
+    assert.deepEqual(args.options, { type: 'review' });
+    assert.deepEqual(args.flags, {});
+    assert.deepEqual(args.rest, ['node', 'worker.js', '--verbose', '-x']);
+  });
+
+  it('collects every value of repeated options', () => {
+    const args = parseArgs(['watch', '--channel', 'a', '--channel=b,c', '-p', '7+']);
+    assert.equal(args.options.channel, 'b,c');
+    assert.deepEqual(args.lists, { channel: ['a', 'b,c'], p: ['7+'] });
+  });
+
+  it('defaults rest to an empty array', () => {
+    assert.deepEqual(parseArgs(['list']).rest, []);
+  });
+});
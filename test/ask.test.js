@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractAnswer } from '../index.js';
+
+// ============================================================================
+// extractAnswer
+// ============================================================================
+
+describe('extractAnswer', () => {
+  it('returns null when there are no outputs', () => {
+    assert.equal(extractAnswer(null), null);
+    assert.equal(extractAnswer([]), null);
+  });
+
+  it('accepts a bare string output', () => {
+    assert.equal(extractAnswer(['approve']), 'approve');
+  });
+
+  it('reads answer-like keys from object outputs', () => {
+    assert.equal(extractAnswer([{ answer: 'approve' }]), 'approve');
+    assert.equal(extractAnswer([{ choice: 'deny' }]), 'deny');
+    assert.equal(extractAnswer([{ text: 'Ship it after lunch' }]), 'Ship it after lunch');
+    assert.equal(extractAnswer([{ value: 42 }]), '42');
+  });
+
+  it('prefers "answer" over other keys and skips outputs without one', () => {
+    assert.equal(extractAnswer([{ notes: 'LGTM' }, { text: 'b', answer: 'a' }]), 'a');
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, mkdirSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Credentials live under $HOME and project config in the working directory;
+// point both at temp directories before the CLI module reads them.
+const home = mkdtempSync(join(tmpdir(), 'ats-home-'));
+const project = mkdtempSync(join(tmpdir(), 'ats-project-'));
+process.env.HOME = home;
+process.chdir(project);
+for (const name of ['ATS_API_KEY', 'ATS_ACTOR_TYPE', 'ATS_ACTOR_ID', 'ATS_ACTOR_NAME', 'ATS_URL']) delete process.env[name];
+
+const { AtsClient, maskSecret, loginWithKey, forgetCredentials } = await import('../index.js');
+
+const credentialsPath = join(home, '.ats', 'credentials');
+
+/**
+ * Start a local server answering GET /auth/me with `identity`.
+ */
+async function serveIdentity(identity) {
+  const server = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ identity }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return { url, close };
+}
+
+// ============================================================================
+// maskSecret
+// ============================================================================
+
+describe('maskSecret', () => {
+  it('keeps only a short prefix', () => {
+    assert.equal(maskSecret('ats_live_0123456789abcdef'), 'ats_live…');
+    assert.equal(maskSecret(null), '');
+  });
+});
+
+// ============================================================================
+// Login, logout and the stored identity
+// ============================================================================
+
+describe('stored credentials', () => {
+  it('login stores the key with the identity it belongs to', async () => {
+    const server = await serveIdentity({ actor_type: 'agent', actor_id: 'builder', display_name: 'Builder' });
+    try {
+      const identity = await loginWithKey(new AtsClient({ url: server.url }).config, 'ats_secret');
+      assert.equal(identity.actor_id, 'builder');
+
+      const stored = JSON.parse(readFileSync(credentialsPath, 'utf-8'))[server.url];
+      assert.equal(stored.api_key, 'ats_secret');
+      assert.deepEqual(stored.actor, { type: 'agent', id: 'builder', name: 'Builder' });
+      assert.equal(statSync(credentialsPath).mode & 0o777, 0o600);
+
+      const { config } = new AtsClient({ url: server.url });
+      assert.equal(config.apiKey, 'ats_secret');
+      assert.equal(config.actor.id, 'builder');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('prefers the stored identity over config files while its key is in use', () => {
+    const url = 'http://ats.stored';
+    writeFileSync(credentialsPath, JSON.stringify({ [url]: { api_key: 'ats_a', actor: { type: 'agent', id: 'a', name: 'A' } } }));
+    mkdirSync(join(project, '.ats'), { recursive: true });
+    writeFileSync(join(project, '.ats', 'config'), JSON.stringify({ actor: { type: 'agent', id: 'b' } }));
+
+    assert.equal(new AtsClient({ url }).config.actor.id, 'a');
+    // Another key: the config files decide
+    assert.equal(new AtsClient({ url, apiKey: 'ats_other' }).config.actor.id, 'b');
+  });
+
+  it('warns when an explicit actor differs from the stored key', () => {
+    const warn = mock.method(console, 'error', () => {});
+    try {
+      const { config } = new AtsClient({ url: 'http://ats.stored', actorId: 'c' });
+      assert.equal(config.actor.id, 'c');
+      assert.match(warn.mock.calls[0].arguments[0], /acting as agent:c, but the stored API key belongs to agent:a/);
+    } finally {
+      warn.mock.restore();
+    }
+  });
+
+  it('logout removes only the current server', () => {
+    const credentials = { 'http://one': { api_key: 'k1' }, 'http://two': { api_key: 'k2' } };
+    writeFileSync(credentialsPath, JSON.stringify(credentials));
+    assert.equal(forgetCredentials({ baseUrl: 'http://one' }), true);
+    assert.equal(forgetCredentials({ baseUrl: 'http://one' }), false);
+    assert.deepEqual(Object.keys(JSON.parse(readFileSync(credentialsPath, 'utf-8'))), ['http://two']);
+  });
+});
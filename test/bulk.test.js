@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { createServer } from 'node:http';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseUpdateFields, planBulkChange, bulkSelectStatuses } from '../index.js';
+
+// ============================================================================
+// parseUpdateFields
+// ============================================================================
+
+describe('parseUpdateFields', () => {
+  it('builds an update body from --set values', () => {
+    assert.deepEqual(parseUpdateFields(['priority=3', 'channel=archive', 'payload={"a":1}', 'title=a=b']), {
+      priority: 3, channel: 'archive', payload: { a: 1 }, title: 'a=b'
+    });
+  });
+
+  it('rejects unknown fields and invalid values', () => {
+    assert.throws(() => parseUpdateFields(['color=red']), /Invalid --set/);
+    assert.throws(() => parseUpdateFields(['priority']), /Invalid --set/);
+    assert.throws(() => parseUpdateFields(['priority=11']), /between 1 and 10/);
+    assert.throws(() => parseUpdateFields(['status=done']), /Invalid status/);
+    assert.throws(() => parseUpdateFields(['payload={oops']), /Invalid --set payload: not valid JSON/);
+  });
+});
+
+// ============================================================================
+// planBulkChange
+// ============================================================================
+
+describe('planBulkChange', () => {
+  const pending = { id: 1, status: 'pending', priority: 5, channel: 'support' };
+  const completed = { id: 2, status: 'completed', priority: 5, channel: 'support' };
+
+  it('describes status changes', () => {
+    assert.equal(planBulkChange('cancel', pending).change, 'pending → cancelled');
+    assert.equal(planBulkChange('reopen', completed).change, 'completed → pending');
+  });
+
+  it('skips tasks the action does not apply to', () => {
+    assert.deepEqual(planBulkChange('cancel', completed), { task: completed, change: null, skip: 'is completed' });
+    assert.equal(planBulkChange('reopen', pending).skip, 'is pending');
+    assert.equal(planBulkChange('complete', pending).skip, 'is pending');
+  });
+
+  it('lists only the fields an update changes', () => {
+    assert.equal(planBulkChange('update', pending, { priority: 3, channel: 'support' }).change, 'priority: 5 → 3');
+    assert.equal(planBulkChange('update', pending, { priority: 5 }).skip, 'already up to date');
+  });
+});
+
+// ============================================================================
+// bulkSelectStatuses
+// ============================================================================
+
+describe('bulkSelectStatuses', () => {
+  it('selects the statuses the action applies to when no status is given', () => {
+    assert.deepEqual(bulkSelectStatuses('reopen', {}, {}), ['completed', 'failed', 'rejected', 'cancelled']);
+    assert.deepEqual(bulkSelectStatuses('complete', {}, {}), ['in_progress']);
+    assert.deepEqual(bulkSelectStatuses('cancel', {}, {}), ['pending', 'in_progress']);
+  });
+
+  it('leaves --status, --all and update to the ats list filters', () => {
+    assert.equal(bulkSelectStatuses('reopen', { status: 'failed' }, {}), null);
+    assert.equal(bulkSelectStatuses('fail', {}, { all: true }), null);
+    assert.equal(bulkSelectStatuses('update', {}, {}), null);
+  });
+});
+
+// ============================================================================
+// ats bulk --dry-run
+// ============================================================================
+
+const cli = fileURLToPath(new URL('../index.js', import.meta.url));
+const home = mkdtempSync(join(tmpdir(), 'ats-home-'));
+const cwd = mkdtempSync(join(tmpdir(), 'ats-project-'));
+
+describe('ats bulk --dry-run', () => {
+  it('changes nothing and lists every task ID', async () => {
+    const seen = [];
+    const server = createServer((req, res) => {
+      seen.push(`${req.method} ${req.url}`);
+      const id = Number(req.url.split('/').pop());
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ task: { id, title: `Task ${id}`, status: 'pending' } }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const env = { ...process.env, HOME: home, ATS_URL: `http://127.0.0.1:${server.address().port}` };
+      delete env.ATS_API_KEY;
+      const { code, stdout } = await new Promise((resolve) => {
+        execFile(process.execPath, [cli, 'bulk', 'cancel', '--dry-run', '12', '13', '-f', 'json'], { cwd, env, timeout: 20000 },
+          (err, out) => resolve({ code: err ? err.code : 0, stdout: out }));
+      });
+      assert.equal(code, 0);
+      assert.deepEqual(JSON.parse(stdout).map(row => row.id), [12, 13]);
+      assert.deepEqual(seen.sort(), ['GET /tasks/12', 'GET /tasks/13']);
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
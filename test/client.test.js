@@ -0,0 +1,245 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { AtsClient, AuthError, ConflictError, NetworkError, NotFoundError, ServerError } from '../index.js';
+
+// ============================================================================
+// AtsClient
+// ============================================================================
+
+describe('AtsClient', () => {
+  it('resolves options like the CLI flags', () => {
+    const client = new AtsClient({
+      url: 'http://ats.test',
+      org: 'acme',
+      project: 'web',
+      actorType: 'human',
+      actorId: 'alice',
+      apiKey: 'ats_test'
+    });
+    assert.equal(client.config.baseUrl, 'http://ats.test');
+    assert.equal(client.config.organization, 'acme');
+    assert.equal(client.config.project, 'web');
+    assert.equal(client.config.useProjectScope, true);
+    assert.deepEqual(
+      { type: client.config.actor.type, id: client.config.actor.id },
+      { type: 'human', id: 'alice' }
+    );
+    assert.equal(client.config.apiKey, 'ats_test');
+  });
+
+  it('accepts an already-resolved config', () => {
+    const config = { baseUrl: 'http://ats.test', actor: { type: 'agent', id: 'bot', name: 'Bot' } };
+    assert.equal(new AtsClient({ config }).config, config);
+  });
+
+  it('reads a bare request timeout as seconds', () => {
+    assert.equal(new AtsClient({ url: 'http://ats.test', requestTimeout: '30' }).config.timeout, 30000);
+    assert.equal(new AtsClient({ url: 'http://ats.test', requestTimeout: '250ms' }).config.timeout, 250);
+  });
+
+  it('forProject scopes a copy to another project', () => {
+    const client = new AtsClient({ url: 'http://ats.test', org: 'acme', project: 'web', apiKey: 'ats_test' });
+    const other = client.forProject('acme', 'api');
+    assert.equal(other.config.project, 'api');
+    assert.equal(other.config.useProjectScope, true);
+    assert.equal(other.config.apiKey, 'ats_test');
+    assert.equal(client.config.project, 'web');
+  });
+});
+
+// ============================================================================
+// Timeouts and retries
+// ============================================================================
+
+/**
+ * Start a local server answering each request with the next handler in `replies`.
+ */
+async function serve(replies) {
+  const seen = [];
+  const server = createServer((req, res) => {
+    seen.push({ method: req.method, path: req.url, key: req.headers['idempotency-key'] });
+    const reply = replies[Math.min(seen.length - 1, replies.length - 1)];
+    reply(res);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return { url, seen, close };
+}
+
+const json = (status, data, headers = {}) => (res) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+};
+
+describe('AtsClient requests', () => {
+  it('retries 5xx and 429 responses, honoring Retry-After', async () => {
+    const server = await serve([
+      json(503, { error: 'Unavailable' }),
+      json(429, { error: 'Slow down' }, { 'Retry-After': '0' }),
+      json(200, { task: { id: 1 } })
+    ]);
+    try {
+      const client = new AtsClient({ url: server.url, retries: 3 });
+      assert.deepEqual(await client.tasks.get(1), { id: 1 });
+      assert.equal(server.seen.length, 3);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('scopes event history to the project', async () => {
+    const server = await serve([json(200, { events: [{ id: 1, type: 'task.created' }] })]);
+    try {
+      const client = new AtsClient({ url: server.url, org: 'acme', project: 'web' });
+      assert.deepEqual(await client.events.list({ since: '2026-01-01' }), [{ id: 1, type: 'task.created' }]);
+      assert.equal(server.seen[0].path, '/orgs/acme/projects/web/events?since=2026-01-01');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('reuses one idempotency key across POST retries', async () => {
+    const server = await serve([json(502, {}), json(201, { task: { id: 2 } })]);
+    try {
+      const client = new AtsClient({ url: server.url, retries: 1 });
+      await client.tasks.create({ title: 'x' });
+      assert.equal(server.seen.length, 2);
+      assert.ok(server.seen[0].key);
+      assert.equal(server.seen[0].key, server.seen[1].key);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('retries claim and complete under one key per operation', async () => {
+    const server = await serve([
+      json(503, { error: 'Unavailable' }), json(200, { task: { id: 1 } }),
+      json(503, { error: 'Unavailable' }), json(200, { task: { id: 1 } })
+    ]);
+    try {
+      const client = new AtsClient({ url: server.url, retries: 1 });
+      assert.deepEqual(await client.tasks.claim(1, { lease: 60000 }), { id: 1 });
+      assert.deepEqual(await client.tasks.complete(1), { id: 1 });
+      const [claim, claimRetry, complete, completeRetry] = server.seen;
+      assert.deepEqual(server.seen.map(r => r.path.split('/').pop()), ['claim', 'claim', 'complete', 'complete']);
+      assert.ok(claim.key);
+      assert.equal(claim.key, claimRetry.key);
+      assert.equal(complete.key, completeRetry.key);
+      assert.notEqual(claim.key, complete.key);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('sends a caller-supplied idempotency key', async () => {
+    const server = await serve([json(200, { task: { id: 1 } })]);
+    try {
+      const client = new AtsClient({ url: server.url });
+      await client.tasks.complete(1, null, { idempotencyKey: 'complete-1-run-7' });
+      assert.equal(server.seen[0].key, 'complete-1-run-7');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('gives up after the configured retries', async () => {
+    const server = await serve([json(500, { error: 'Boom' })]);
+    try {
+      const client = new AtsClient({ url: server.url, retries: 1 });
+      await assert.rejects(client.tasks.get(1), /Boom/);
+      assert.equal(server.seen.length, 2);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('does not retry client errors', async () => {
+    const server = await serve([json(404, { error: 'Task not found' })]);
+    try {
+      const client = new AtsClient({ url: server.url, retries: 3 });
+      await assert.rejects(client.tasks.get(1), /Task not found/);
+      assert.equal(server.seen.length, 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('times out hung requests', async () => {
+    const server = await serve([() => {}]);
+    try {
+      const client = new AtsClient({ url: server.url, requestTimeout: '100ms', retries: 0 });
+      await assert.rejects(client.tasks.get(1), /timed out/);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+const text = (status, body, contentType) => (res) => {
+  res.writeHead(status, contentType ? { 'Content-Type': contentType } : {});
+  res.end(body);
+};
+
+describe('AtsClient errors', () => {
+  const failWith = async (reply, call) => {
+    const server = await serve([reply]);
+    try {
+      await call(new AtsClient({ url: server.url, retries: 0 }));
+    } catch (err) {
+      return err;
+    } finally {
+      await server.close();
+    }
+    assert.fail('expected the request to fail');
+  };
+
+  it('maps HTTP statuses to error types', async () => {
+    const conflict = await failWith(json(409, { error: 'Task already claimed', code: 'already_claimed' }), (c) => c.tasks.claim(1));
+    assert.ok(conflict instanceof ConflictError);
+    assert.deepEqual(conflict.toJSON(), {
+      type: 'conflict', message: 'Task already claimed', status: 409, code: 'already_claimed', exit_code: 23
+    });
+
+    assert.ok(await failWith(json(401, { error: 'Unauthorized' }), (c) => c.auth.me()) instanceof AuthError);
+    assert.ok(await failWith(json(404, { error: 'Task not found' }), (c) => c.tasks.get(1)) instanceof NotFoundError);
+  });
+
+  it('reports non-JSON error pages as server errors', async () => {
+    const err = await failWith(text(502, '<html>Bad Gateway</html>', 'text/html'), (c) => c.tasks.get(1));
+    assert.ok(err instanceof ServerError);
+    assert.equal(err.status, 502);
+    assert.equal(err.exitCode, 25);
+  });
+
+  it('rejects non-JSON success responses', async () => {
+    const err = await failWith(text(200, '<html>Login</html>', 'text/html'), (c) => c.tasks.get(1));
+    assert.ok(err instanceof ServerError);
+    assert.match(err.message, /Expected JSON/);
+  });
+
+  it('accepts empty bodies', async () => {
+    const server = await serve([text(204, '')]);
+    try {
+      assert.deepEqual(await new AtsClient({ url: server.url }).projects.delete('acme', 'web'), {});
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('reports unreachable servers as network errors', async () => {
+    const server = await serve([json(200, {})]);
+    await server.close();
+    const err = await new AtsClient({ url: server.url, retries: 0 }).tasks.get(1).catch((e) => e);
+    assert.ok(err instanceof NetworkError);
+    assert.equal(err.exitCode, 20);
+  });
+});
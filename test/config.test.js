@@ -0,0 +1,111 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Bindings live in ~/.ats/config and the nearest .ats/config; point $HOME and
+// the working directory at temp directories before the CLI module reads them.
+const home = mkdtempSync(join(tmpdir(), 'ats-home-'));
+const project = mkdtempSync(join(tmpdir(), 'ats-project-'));
+process.env.HOME = home;
+process.chdir(project);
+
+const { rewriteConfigBindings } = await import('../index.js');
+
+const globalPath = join(home, '.ats', 'config');
+const localPath = join(project, '.ats', 'config');
+
+function writeConfig(path, config) {
+  mkdirSync(join(path, '..'), { recursive: true });
+  writeFileSync(path, JSON.stringify(config));
+}
+
+const readConfig = (path) => JSON.parse(readFileSync(path, 'utf-8'));
+
+// ============================================================================
+// rewriteConfigBindings
+// ============================================================================
+
+describe('rewriteConfigBindings', () => {
+  beforeEach(() => {
+    rmSync(join(home, '.ats'), { recursive: true, force: true });
+    rmSync(join(project, '.ats'), { recursive: true, force: true });
+  });
+
+  it('points local and global bindings at a renamed project', () => {
+    writeConfig(localPath, { organization: 'acme', project: 'web', channel: 'deploys' });
+    writeConfig(globalPath, { url: 'http://ats.test', organization: 'acme', project: 'web' });
+
+    const changed = rewriteConfigBindings({ org: 'acme', project: 'web' }, { project: 'site' });
+    assert.deepEqual(changed, [
+      { scope: 'local', path: localPath, removed: false },
+      { scope: 'global', path: globalPath, removed: false }
+    ]);
+    assert.deepEqual(readConfig(localPath), { organization: 'acme', project: 'site', channel: 'deploys' });
+    assert.deepEqual(readConfig(globalPath), { url: 'http://ats.test', organization: 'acme', project: 'site' });
+  });
+
+  it('matches any project of a renamed org', () => {
+    writeConfig(localPath, { organization: 'acme', project: 'api' });
+    rewriteConfigBindings({ org: 'acme' }, { org: 'acme-inc' });
+    assert.deepEqual(readConfig(localPath), { organization: 'acme-inc', project: 'api' });
+  });
+
+  it('leaves other bindings alone', () => {
+    writeConfig(localPath, { organization: 'acme', project: 'api' });
+    writeConfig(globalPath, { organization: 'other', project: 'web' });
+    assert.deepEqual(rewriteConfigBindings({ org: 'acme', project: 'web' }, null), []);
+    assert.deepEqual(readConfig(localPath), { organization: 'acme', project: 'api' });
+  });
+
+  it('removes a deleted binding, keeping other settings', () => {
+    writeConfig(localPath, { organization: 'acme', project: 'web', channel: 'deploys' });
+    writeConfig(globalPath, { url: 'http://ats.test', organization: 'acme', project: 'web' });
+
+    const changed = rewriteConfigBindings({ org: 'acme', project: 'web' }, null);
+    assert.deepEqual(changed.map(c => [c.scope, c.removed]), [['local', true], ['global', true]]);
+    assert.deepEqual(readConfig(localPath), { channel: 'deploys' });
+    assert.deepEqual(readConfig(globalPath), { url: 'http://ats.test' });
+  });
+
+  it('deletes a local config and its .ats directory when only the binding was left', () => {
+    writeConfig(localPath, { organization: 'acme', project: 'web' });
+    rewriteConfigBindings({ org: 'acme', project: 'web' }, null);
+    assert.equal(existsSync(join(project, '.ats')), false);
+  });
+
+  it('keeps the .ats directory when it holds anything else', () => {
+    writeConfig(localPath, { organization: 'acme', project: 'web' });
+    mkdirSync(join(project, '.ats', 'templates'));
+    rewriteConfigBindings({ org: 'acme', project: 'web' }, null);
+    assert.equal(existsSync(localPath), false);
+    assert.equal(existsSync(join(project, '.ats', 'templates')), true);
+  });
+
+  it('finds the project config from a subdirectory', () => {
+    const nested = join(project, 'services', 'api');
+    mkdirSync(nested, { recursive: true });
+    writeConfig(localPath, { organization: 'acme', project: 'web' });
+    process.chdir(nested);
+    try {
+      assert.deepEqual(rewriteConfigBindings({ org: 'acme', project: 'web' }, { project: 'site' }).map(c => c.path), [localPath]);
+    } finally {
+      process.chdir(project);
+    }
+  });
+
+  it('does not take ~/.ats/config for a project config under $HOME', () => {
+    const work = join(home, 'work');
+    mkdirSync(work, { recursive: true });
+    writeConfig(globalPath, { organization: 'acme', project: 'web' });
+    process.chdir(work);
+    try {
+      assert.deepEqual(rewriteConfigBindings({ org: 'acme', project: 'web' }, null), [
+        { scope: 'global', path: globalPath, removed: true }
+      ]);
+    } finally {
+      process.chdir(project);
+    }
+  });
+});
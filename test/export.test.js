@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExport, importRecord } from '../index.js';
+
+// ============================================================================
+// parseExport
+// ============================================================================
+
+describe('parseExport', () => {
+  it('reads JSON lines from ats export', () => {
+    const line = { version: 1, source: { url: 'http://ats.test', project: 'acme/stage', id: 7 }, task: { id: 7 }, messages: [] };
+    assert.deepEqual(parseExport(`${JSON.stringify(line)}\n\n${JSON.stringify(line)}\n`), [line, line]);
+  });
+
+  it('reads task arrays from project delete --export', () => {
+    assert.deepEqual(parseExport('[{"id": 3, "title": "x", "project": "acme/old"}]'), [{
+      version: 1,
+      source: { url: null, project: 'acme/old', id: 3 },
+      task: { id: 3, title: 'x', project: 'acme/old' },
+      messages: []
+    }]);
+  });
+
+  it('reports the line of invalid JSON', () => {
+    assert.throws(() => parseExport('{"task": {}}\n{oops'), /line 2/);
+  });
+});
+
+// ============================================================================
+// importRecord
+// ============================================================================
+
+/**
+ * Client double recording calls; `failOn` makes the named call throw once.
+ */
+function fakeClient(failOn = null, status = 'pending') {
+  const calls = [];
+  const call = (name, result = {}) => async (...args) => {
+    calls.push([name, ...args]);
+    if (name === failOn) {
+      failOn = null;
+      throw new Error(`${name} failed`);
+    }
+    return result;
+  };
+  return {
+    calls,
+    tasks: {
+      create: call('create', { id: 100 }),
+      get: call('get', { id: 100, status }),
+      claim: call('claim'),
+      complete: call('complete'),
+      fail: call('fail'),
+      cancel: call('cancel'),
+      reject: call('reject')
+    },
+    messages: { add: call('message') }
+  };
+}
+
+describe('importRecord', () => {
+  const record = {
+    source: { project: 'acme/stage', id: 1 },
+    task: { id: 1, title: 'Ship', status: 'completed', priority: 7, outputs: [{ type: 'text', content: 'ok' }] },
+    messages: [
+      { actor_name: 'Alice', created_at: '2026-01-01T00:00:00Z', parts: [{ type: 'text', content: 'one' }] },
+      { actor_name: 'Bob', parts: [{ type: 'text', content: 'two' }] }
+    ]
+  };
+
+  it('restores status and history', async () => {
+    const client = fakeClient();
+    const entry = {};
+    await importRecord(client, record, entry, { status: true, history: true }, () => {});
+    // The status goes first, so workers don't see the task as pending while history is posted
+    assert.deepEqual(client.calls.map(([name]) => name), ['create', 'claim', 'complete', 'message', 'message']);
+    assert.deepEqual(client.calls[2][2], record.task.outputs);
+    assert.deepEqual(client.calls[3][2][0], { type: 'text', content: '[Imported message from Alice at 2026-01-01T00:00:00Z]' });
+    assert.deepEqual(entry, { id: 100, messages: 2, status_steps: 2, done: true });
+  });
+
+  it('resumes an interrupted import without duplicating work', async () => {
+    const client = fakeClient('message');
+    const entry = {};
+    const opts = { status: false, history: true };
+    await assert.rejects(importRecord(client, record, entry, opts, () => {}), /message failed/);
+    assert.deepEqual(entry, { id: 100, messages: 0 });
+
+    await importRecord(client, record, entry, opts, () => {});
+    assert.deepEqual(client.calls.map(([name]) => name), ['create', 'message', 'message', 'message']);
+    assert.deepEqual(entry, { id: 100, messages: 2, done: true });
+  });
+
+  it('resumes the status step after a failed complete', async () => {
+    const client = fakeClient('complete', 'in_progress');
+    const entry = {};
+    const opts = { status: true, history: false };
+    await assert.rejects(importRecord(client, record, entry, opts, () => {}), /complete failed/);
+    assert.deepEqual(entry, { id: 100, messages: 0, status_steps: 1 });
+
+    await importRecord(client, record, entry, opts, () => {});
+    assert.deepEqual(client.calls.map(([name]) => name), ['create', 'claim', 'complete', 'get', 'complete']);
+    assert.deepEqual(entry, { id: 100, messages: 0, status_steps: 2, done: true });
+  });
+
+  it('does not claim again when a claim went through unrecorded', async () => {
+    const client = fakeClient(null, 'in_progress');
+    const entry = { id: 100, messages: 0, status_steps: 0 };
+    await importRecord(client, record, entry, { status: true, history: false }, () => {});
+    assert.deepEqual(client.calls.map(([name]) => name), ['get', 'complete']);
+  });
+
+  it('finishes without calls when the task already has its status', async () => {
+    const client = fakeClient(null, 'completed');
+    const entry = { id: 100, messages: 0, status_steps: 1 };
+    await importRecord(client, record, entry, { status: true, history: false }, () => {});
+    assert.deepEqual(client.calls.map(([name]) => name), ['get']);
+    assert.equal(entry.done, true);
+  });
+});
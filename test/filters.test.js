@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { parseTimeString, parsePriority, parseSortField } from '../index.js';
+import { parseTimeString, parsePriority, parseSortField, parseDuration, parseSubscription } from '../index.js';
 
 // ============================================================================
 // parseTimeString
@@ -174,3 +174,57 @@ describe('parseSortField', () => {
     assert.throws(() => parseSortField('id'), /Invalid sort field/);
   });
 });
+
+// ============================================================================
+// parseDuration
+// ============================================================================
+
+describe('parseDuration', () => {
+  it('returns null for empty input', () => {
+    assert.equal(parseDuration(null), null);
+    assert.equal(parseDuration(undefined), null);
+    assert.equal(parseDuration(''), null);
+  });
+
+  it('treats a bare number as seconds', () => {
+    assert.equal(parseDuration('30'), 30 * 1000);
+    assert.equal(parseDuration(0), 0);
+  });
+
+  it('parses each unit', () => {
+    assert.equal(parseDuration('250ms'), 250);
+    assert.equal(parseDuration('30s'), 30 * 1000);
+    assert.equal(parseDuration('5m'), 5 * 60 * 1000);
+    assert.equal(parseDuration('2h'), 2 * 60 * 60 * 1000);
+    assert.equal(parseDuration('1d'), 24 * 60 * 60 * 1000);
+    assert.equal(parseDuration('1w'), 7 * 24 * 60 * 60 * 1000);
+  });
+
+  it('throws on invalid format', () => {
+    assert.throws(() => parseDuration('abc'), /Invalid duration/);
+    assert.throws(() => parseDuration('5x'), /Invalid duration/);
+    assert.throws(() => parseDuration('-5m'), /Invalid duration/);
+  });
+});
+
+// ============================================================================
+// parseSubscription
+// ============================================================================
+
+describe('parseSubscription', () => {
+  it('parses a named filter set', () => {
+    assert.deepEqual(parseSubscription('urgent:priority=8+;type=incident,outage;mine'), {
+      name: 'urgent',
+      values: { priority: '8+', type: ['incident', 'outage'], mine: true }
+    });
+  });
+
+  it('allows a bare name', () => {
+    assert.deepEqual(parseSubscription('all'), { name: 'all', values: {} });
+  });
+
+  it('throws on unknown keys or a missing name', () => {
+    assert.throws(() => parseSubscription('x:color=red'), /Invalid subscription filter/);
+    assert.throws(() => parseSubscription(':type=bug'), /Invalid subscription/);
+  });
+});
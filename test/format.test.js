@@ -0,0 +1,178 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseArgs, parseFormat, formatOutput, toYaml, textWidth, truncateText, wrapText, fitWidths, shouldUseColor
+} from '../index.js';
+
+/**
+ * Run formatOutput and return what it printed.
+ */
+function render(data, config, columns) {
+  const log = mock.method(console, 'log', () => {});
+  try {
+    formatOutput(data, { columns: null, template: null, ...config }, columns);
+    return log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  } finally {
+    log.mock.restore();
+  }
+}
+
+const COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'title', label: 'Title' },
+  { key: 'status', label: 'Status', format: (v) => `\x1b[33m${v}\x1b[0m` }
+];
+
+const tasks = [
+  { id: 1, title: 'Fix "login", today', status: 'pending', payload: { pr: 12 } },
+  { id: 2, title: 'Deploy | ship', status: 'completed', payload: {} }
+];
+
+// ============================================================================
+// parseFormat
+// ============================================================================
+
+describe('parseFormat', () => {
+  it('accepts known formats and inline templates', () => {
+    assert.deepEqual(parseFormat('csv'), { format: 'csv', template: null });
+    assert.deepEqual(parseFormat('template={{id}}={{title}}'), { format: 'template', template: '{{id}}={{title}}' });
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => parseFormat('xml'), /Invalid format: "xml"/);
+    assert.throws(() => parseFormat('template'), /Invalid format/);
+  });
+
+  it('rejects a missing value', () => {
+    // A bare -f is parsed as a flag set to true
+    assert.throws(() => parseFormat(true), { name: 'ValidationError', message: /Missing value for --format/ });
+  });
+
+  it('keeps = in --format=template=... values', () => {
+    assert.equal(parseArgs(['list', '--format=template={{id}}={{title}}']).options.format, 'template={{id}}={{title}}');
+  });
+});
+
+// ============================================================================
+// formatOutput
+// ============================================================================
+
+describe('formatOutput', () => {
+  it('writes CSV with raw values and quoting', () => {
+    assert.equal(render(tasks, { format: 'csv' }, COLUMNS),
+      'id,title,status\n1,"Fix ""login"", today",pending\n2,Deploy | ship,completed');
+  });
+
+  it('writes TSV and picks columns, including dotted paths', () => {
+    assert.equal(render(tasks, { format: 'tsv', columns: ['payload.pr', 'id'] }, COLUMNS),
+      'payload.pr\tid\n12\t1\n\t2');
+  });
+
+  it('writes Markdown with formatted, escaped cells', () => {
+    assert.equal(render(tasks, { format: 'markdown' }, COLUMNS), [
+      '| ID | Title | Status |',
+      '| --- | --- | --- |',
+      '| 1 | Fix "login", today | pending |',
+      '| 2 | Deploy \\| ship | completed |'
+    ].join('\n'));
+  });
+
+  it('renders templates per record', () => {
+    assert.equal(render(tasks, { format: 'template', template: '{{id}}\\t{{payload.pr}}' }), '1\t12\n2\t');
+  });
+
+  it('projects JSON to the selected columns', () => {
+    assert.deepEqual(JSON.parse(render(tasks[0], { format: 'json', columns: ['id', 'payload.pr'] }, COLUMNS)), { id: 1, 'payload.pr': 12 });
+  });
+
+  it('rejects unknown columns', () => {
+    assert.throws(() => render(tasks, { format: 'csv', columns: ['id', 'nope'] }, COLUMNS), /Unknown column: nope/);
+  });
+});
+
+// ============================================================================
+// toYaml
+// ============================================================================
+
+describe('toYaml', () => {
+  it('writes nested objects and lists', () => {
+    assert.equal(toYaml({ id: 1, tags: ['a', 'b'], payload: { pr: 12 }, outputs: [{ type: 'text' }], empty: {} }), [
+      'id: 1',
+      'tags:',
+      '  - a',
+      '  - b',
+      'payload:',
+      '  pr: 12',
+      'outputs:',
+      '  - type: text',
+      'empty: {}'
+    ].join('\n'));
+  });
+
+  it('quotes strings YAML would misread', () => {
+    assert.equal(toYaml({ a: 'yes', b: '42', c: 'key: value', d: '', e: 'line\nbreak', f: null }),
+      'a: "yes"\nb: "42"\nc: "key: value"\nd: ""\ne: "line\\nbreak"\nf: null');
+  });
+});
+
+// ============================================================================
+// Table layout
+// ============================================================================
+
+describe('textWidth', () => {
+  it('ignores ANSI escapes and counts wide characters twice', () => {
+    assert.equal(textWidth('\x1b[33mpending\x1b[0m'), 7);
+    assert.equal(textWidth('修复登录'), 8);
+    assert.equal(textWidth('ship 🚀'), 7);
+    assert.equal(textWidth('é'), 1);
+  });
+});
+
+describe('truncateText', () => {
+  it('cuts to the visible width with an ellipsis', () => {
+    assert.equal(truncateText('Review the pull request', 10), 'Review th…');
+    assert.equal(truncateText('修复登录问题', 7), '修复登…');
+    assert.equal(truncateText('short', 10), 'short');
+  });
+
+  it('closes colors it cuts through', () => {
+    assert.equal(truncateText('\x1b[33min_progress\x1b[0m', 6), '\x1b[33min_pr…\x1b[0m');
+  });
+});
+
+describe('wrapText', () => {
+  it('wraps at spaces and splits long words', () => {
+    assert.deepEqual(wrapText('Review the pull request', 10), ['Review the', 'pull', 'request']);
+    assert.deepEqual(wrapText('abcdefghijkl', 5), ['abcde', 'fghij', 'kl']);
+  });
+});
+
+describe('fitWidths', () => {
+  it('narrows the widest columns to fit', () => {
+    // 4 + 60 + 12 plus two 2-cell gaps = 80
+    assert.deepEqual(fitWidths([4, 60, 12], [2, 5, 6], 50), [4, 30, 12]);
+    assert.deepEqual(fitWidths([4, 60, 12], [2, 5, 6], null), [4, 60, 12]);
+  });
+
+  it('never goes below the header or minimum width', () => {
+    assert.deepEqual(fitWidths([4, 60, 12], [2, 5, 10], 10), [4, 6, 10]);
+  });
+});
+
+describe('shouldUseColor', () => {
+  it('colors only terminals without NO_COLOR in auto mode', () => {
+    const saved = process.env.NO_COLOR;
+    try {
+      delete process.env.NO_COLOR;
+      assert.equal(shouldUseColor('auto', { isTTY: true }), true);
+      assert.equal(shouldUseColor('auto', { isTTY: false }), false);
+      process.env.NO_COLOR = '1';
+      assert.equal(shouldUseColor('auto', { isTTY: true }), false);
+      assert.equal(shouldUseColor('always', { isTTY: false }), true);
+      assert.equal(shouldUseColor('never', { isTTY: true }), false);
+    } finally {
+      if (saved === undefined) delete process.env.NO_COLOR;
+      else process.env.NO_COLOR = saved;
+    }
+  });
+});
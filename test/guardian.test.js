@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { guardianRows } from '../index.js';
+
+// ============================================================================
+// guardianRows
+// ============================================================================
+
+describe('guardianRows', () => {
+  it('lists guardians and guarded agents as one table', () => {
+    const result = {
+      guardians: [{ id: 1, actor_id: 'alice', display_name: 'Alice', created_at: '2026-01-01T00:00:00Z' }],
+      guarded_agents: [{ id: 2, actor_type: 'agent', actor_id: 'builder', created_at: '2026-01-02T00:00:00Z' }]
+    };
+    assert.deepEqual(guardianRows(result), [
+      { id: 1, relationship: 'guardian', actor: 'human:alice', display_name: 'Alice', created_at: '2026-01-01T00:00:00Z' },
+      { id: 2, relationship: 'guarding', actor: 'agent:builder', display_name: '', created_at: '2026-01-02T00:00:00Z' }
+    ]);
+  });
+
+  it('accepts "agents" for the guarded side and tolerates missing lists', () => {
+    assert.deepEqual(guardianRows({ agents: [{ id: 3, actor_id: 'bot' }] }).map(r => r.actor), ['agent:bot']);
+    assert.deepEqual(guardianRows({}), []);
+  });
+});
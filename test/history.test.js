@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { taskTimeline, filterEvents, watchEnvelope, projectFields } from '../index.js';
+
+// ============================================================================
+// taskTimeline
+// ============================================================================
+
+describe('taskTimeline', () => {
+  const events = [
+    { id: 3, type: 'task.reopened', task_id: 7, actor_name: 'Alice', created_at: '2026-03-01T12:00:00.000Z', data: { reason: 'Flaky test' } },
+    { id: 1, type: 'task.claimed', task_id: 7, actor_type: 'agent', actor_id: 'worker-1', created_at: '2026-03-01T10:00:00.000Z',
+      data: { task: { assignee_name: 'Worker 1' } } },
+    { id: 2, type: 'task.lease_expired', task_id: 7, created_at: '2026-03-01T11:00:00.000Z' }
+  ];
+  const messages = [
+    { id: 9, actor_name: 'Worker 1', created_at: '2026-03-01T10:30:00.000Z', parts: [{ type: 'text', content: 'Running tests' }] }
+  ];
+
+  it('merges events and messages in chronological order', () => {
+    const timeline = taskTimeline(events, messages);
+    assert.deepEqual(timeline.map(e => e.type), ['task.claimed', 'message', 'task.lease_expired', 'task.reopened']);
+    assert.deepEqual(timeline.map(e => e.kind), ['event', 'message', 'event', 'event']);
+  });
+
+  it('describes actors and details', () => {
+    const [claimed, message, , reopened] = taskTimeline(events, messages);
+    assert.equal(claimed.actor, 'agent:worker-1');
+    assert.equal(claimed.details, 'assignee Worker 1');
+    assert.equal(message.details, 'Running tests');
+    assert.equal(reopened.details, 'reason: Flaky test');
+    assert.equal(reopened.data, events[0]);
+  });
+
+  it('handles a task with no history', () => {
+    assert.deepEqual(taskTimeline([], []), []);
+  });
+});
+
+// ============================================================================
+// filterEvents
+// ============================================================================
+
+describe('filterEvents', () => {
+  const events = [
+    { id: 3, type: 'task.failed', task_id: 7, actor_type: 'agent', actor_id: 'w1', created_at: '2026-03-01 12:00:00' },
+    { id: 1, type: 'task.claimed', task_id: 7, actor_type: 'agent', actor_id: 'w1', created_at: '2026-03-01 10:00:00' },
+    { id: 2, type: 'task.claimed', task_id: 8, actor_type: 'human', actor_id: 'w1', created_at: '2026-03-01 11:00:00' }
+  ];
+  const local = (time) => new Date(`2026-03-01T${time}`).toISOString();
+
+  it('compares --since and --until as instants, whatever the timestamp format', () => {
+    const filtered = filterEvents(events, { since: local('10:30:00'), until: local('12:00:00') });
+    assert.deepEqual(filtered.map(e => e.id), [2, 3]);
+  });
+
+  it('filters by task, type and actor and orders oldest first', () => {
+    assert.deepEqual(filterEvents(events, { task: '7' }).map(e => e.id), [1, 3]);
+    assert.deepEqual(filterEvents(events, { types: ['task.claimed'] }).map(e => e.id), [1, 2]);
+    assert.deepEqual(filterEvents(events, { actor: { type: null, id: 'w1' } }).map(e => e.id), [1, 2, 3]);
+    assert.deepEqual(filterEvents(events, { actor: { type: 'human', id: 'w1' } }).map(e => e.id), [2]);
+  });
+});
+
+// ============================================================================
+// watchEnvelope
+// ============================================================================
+
+describe('watchEnvelope', () => {
+  const event = {
+    id: 812, type: 'task.claimed', created_at: '2026-03-01T10:00:00.000Z',
+    actor_type: 'agent', actor_id: 'worker-1', actor_name: 'Worker 1', org: 'acme',
+    data: { task: { id: 42, title: 'Review PR', priority: 8, payload: { pr: 12 } }, lease_ms: 60000 },
+    subscriptions: ['urgent']
+  };
+
+  it('keeps the full server event', () => {
+    const envelope = watchEnvelope(event);
+    assert.equal(envelope.version, 1);
+    assert.equal(envelope.id, 812);
+    assert.equal(envelope.at, '2026-03-01T10:00:00.000Z');
+    assert.ok(envelope.received_at);
+    assert.deepEqual(envelope.actor, { type: 'agent', id: 'worker-1', name: 'Worker 1' });
+    assert.equal(envelope.task_id, 42);
+    assert.equal(envelope.task, event.data.task);
+    assert.equal(envelope.message, null);
+    assert.deepEqual(envelope.data, { org: 'acme', lease_ms: 60000 });
+    assert.deepEqual(envelope.subscriptions, ['urgent']);
+  });
+
+  it('keeps message parts', () => {
+    const parts = [{ type: 'text', content: 'Running tests' }];
+    const envelope = watchEnvelope({ type: 'message.created', task_id: 7, data: { message: { id: 9, parts } } });
+    assert.equal(envelope.task_id, 7);
+    assert.deepEqual(envelope.message.parts, parts);
+    assert.equal(envelope.actor, null);
+  });
+
+  it('projects dot paths', () => {
+    assert.deepEqual(projectFields(watchEnvelope(event), ['type', 'task.id', 'task.payload.pr', 'actor.name', 'task.missing']), {
+      version: 1,
+      type: 'task.claimed',
+      task: { id: 42, payload: { pr: 12 }, missing: null },
+      actor: { name: 'Worker 1' }
+    });
+  });
+});
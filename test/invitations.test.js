@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { createServer } from 'node:http';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const cli = fileURLToPath(new URL('../index.js', import.meta.url));
+const home = mkdtempSync(join(tmpdir(), 'ats-home-'));
+const cwd = mkdtempSync(join(tmpdir(), 'ats-project-'));
+
+/**
+ * Start a local server answering every request with `reply(req, body)`.
+ */
+async function serve(reply) {
+  const seen = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const parsed = body ? JSON.parse(body) : null;
+      seen.push({ method: req.method, path: req.url, body: parsed });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply(req, parsed)));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return { url, seen, close };
+}
+
+/**
+ * Run the CLI against `url` with a clean HOME and working directory.
+ */
+function ats(url, ...args) {
+  const env = { ...process.env, HOME: home, ATS_URL: url, ATS_ORG: 'acme' };
+  delete env.ATS_API_KEY;
+  return new Promise((resolve) => {
+    execFile(process.execPath, [cli, ...args], { cwd, env, timeout: 20000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+// ============================================================================
+// ats org invite
+// ============================================================================
+
+describe('ats org invite', () => {
+  it('invites by email or actor', async () => {
+    const server = await serve(() => ({ invitation: { token: 'tok_1' } }));
+    try {
+      const byEmail = await ats(server.url, 'org', 'invite', 'bob@example.com', '--role', 'admin');
+      assert.equal(byEmail.code, 0);
+      assert.match(byEmail.stdout, /Invited bob@example.com to acme as admin/);
+      assert.match(byEmail.stdout, /ats invitations accept tok_1/);
+
+      await ats(server.url, 'org', 'invite', 'agent:build-bot');
+      assert.deepEqual(server.seen.map(r => [r.method, r.path, r.body]), [
+        ['POST', '/orgs/acme/invitations', { role: 'admin', email: 'bob@example.com' }],
+        ['POST', '/orgs/acme/invitations', { role: 'member', actor_type: 'agent', actor_id: 'build-bot' }]
+      ]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('rejects an incomplete actor before sending anything', async () => {
+    const server = await serve(() => ({}));
+    try {
+      const result = await ats(server.url, 'org', 'invite', 'human:');
+      assert.equal(result.code, 1);
+      assert.match(result.stderr, /Actor is required \(type:id/);
+      assert.equal(server.seen.length, 0);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+// ============================================================================
+// ats invitations accept / decline
+// ============================================================================
+
+describe('ats invitations', () => {
+  it('accepts an invitation and reports the new org', async () => {
+    const server = await serve((req) => req.url.startsWith('/auth/')
+      ? { invitation: { role: 'admin', org_slug: 'acme' } }
+      : { projects: [] });
+    try {
+      const result = await ats(server.url, 'invitations', 'accept', 'tok_1');
+      assert.equal(result.code, 0);
+      assert.match(result.stdout, /you are now a admin of acme/);
+      assert.match(result.stdout, /acme has no projects yet/);
+      assert.deepEqual(server.seen.slice(0, 1).map(r => [r.method, r.path]), [['POST', '/auth/invitations/tok_1/accept']]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('declines an invitation', async () => {
+    const server = await serve(() => ({}));
+    try {
+      const result = await ats(server.url, 'invitations', 'decline', 'tok 2');
+      assert.equal(result.code, 0);
+      assert.match(result.stdout, /Invitation declined/);
+      assert.deepEqual(server.seen.map(r => [r.method, r.path]), [['POST', '/auth/invitations/tok%202/decline']]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('requires a token', async () => {
+    const result = await ats('http://127.0.0.1:9', 'invitations', 'decline');
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Invitation token is required/);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { keepLeaseAlive, ConflictError } from '../index.js';
+
+// ============================================================================
+// keepLeaseAlive
+// ============================================================================
+
+/**
+ * Client double whose claims stay pending until `settle` is called.
+ */
+function fakeClient(task = {}) {
+  const claims = [];
+  const client = {
+    config: { actor: { type: 'agent', id: 'worker-1' } },
+    overrides: null,
+    withConfig(overrides) {
+      client.overrides = overrides;
+      return client;
+    },
+    tasks: {
+      claim: (id, opts) => new Promise((resolve, reject) => claims.push({ id, opts, resolve, reject })),
+      get: async (id) => ({ id, ...task })
+    }
+  };
+  return { client, claims };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('keepLeaseAlive', () => {
+  it('waits for a renewal to finish before scheduling the next', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+      const { client, claims } = fakeClient();
+      const stop = keepLeaseAlive(client, 7, 30000, () => assert.fail('lease lost'));
+
+      mock.timers.tick(10000);
+      assert.deepEqual(claims.map(c => [c.id, c.opts]), [[7, { lease: 30000 }]]);
+      // A slow renewal does not start another one
+      mock.timers.tick(30000);
+      assert.equal(claims.length, 1);
+
+      claims[0].resolve({});
+      await flush();
+      mock.timers.tick(10000);
+      assert.equal(claims.length, 2);
+      stop();
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it('bounds each renewal to a third of the lease', () => {
+    const { client } = fakeClient();
+    keepLeaseAlive(client, 7, 30000, () => {})();
+    const { timeout, retries } = client.overrides;
+    // Two attempts and the first backoff (at most 500ms) fit within 10s
+    assert.equal(retries, 1);
+    assert.ok(2 * timeout + 500 <= 10000);
+  });
+
+  it('reports a rejected renewal once and stops', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+      const { client, claims } = fakeClient();
+      const lost = [];
+      keepLeaseAlive(client, 7, 3000, (err) => lost.push(err.message));
+
+      mock.timers.tick(1000);
+      claims[0].reject(new Error('claimed by another worker'));
+      await flush();
+      mock.timers.tick(5000);
+      assert.deepEqual(lost, ['claimed by another worker']);
+      assert.equal(claims.length, 1);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it('keeps renewing after a conflict on a task it still holds', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+      const { client, claims } = fakeClient({ status: 'in_progress', assignee_type: 'agent', assignee_id: 'worker-1' });
+      const stop = keepLeaseAlive(client, 7, 3000, () => assert.fail('lease lost'));
+
+      mock.timers.tick(1000);
+      claims[0].reject(new ConflictError('Task is already claimed'));
+      await flush();
+      mock.timers.tick(1000);
+      assert.equal(claims.length, 2);
+      stop();
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it('reports a conflict once the task belongs to another worker', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+      const { client, claims } = fakeClient({ status: 'in_progress', assignee_type: 'agent', assignee_id: 'worker-2' });
+      const lost = [];
+      keepLeaseAlive(client, 7, 3000, (err) => lost.push(err.message));
+
+      mock.timers.tick(1000);
+      claims[0].reject(new ConflictError('Task is already claimed'));
+      await flush();
+      mock.timers.tick(5000);
+      assert.deepEqual(lost, ['Task is already claimed']);
+      assert.equal(claims.length, 1);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseProjectString, parseActorString } from '../index.js';
+
+// ============================================================================
+// parseProjectString
+// ============================================================================
+
+describe('parseProjectString', () => {
+  it('splits org/project', () => {
+    assert.deepEqual(parseProjectString('myorg/myproject'), { org: 'myorg', project: 'myproject' });
+  });
+
+  it('returns null without both parts', () => {
+    assert.equal(parseProjectString('myorg'), null);
+    assert.equal(parseProjectString('myorg/'), null);
+    assert.equal(parseProjectString('/myproject'), null);
+    assert.equal(parseProjectString(''), null);
+  });
+});
+
+// ============================================================================
+// parseActorString
+// ============================================================================
+
+describe('parseActorString', () => {
+  it('splits type:id', () => {
+    assert.deepEqual(parseActorString('agent:build-bot'), { type: 'agent', id: 'build-bot' });
+  });
+
+  it('keeps colons after the first one in the id', () => {
+    assert.deepEqual(parseActorString('human:alice:work'), { type: 'human', id: 'alice:work' });
+  });
+
+  it('uses the default type for a bare id', () => {
+    assert.deepEqual(parseActorString('alice'), { type: 'human', id: 'alice' });
+    assert.deepEqual(parseActorString('bot', 'agent'), { type: 'agent', id: 'bot' });
+  });
+
+  it('returns null for empty or incomplete input', () => {
+    assert.equal(parseActorString(''), null);
+    assert.equal(parseActorString(null), null);
+    assert.equal(parseActorString('human:'), null);
+    assert.equal(parseActorString(':alice'), null);
+  });
+});
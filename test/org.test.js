@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { orgTotals } from '../index.js';
+
+// ============================================================================
+// orgTotals
+// ============================================================================
+
+describe('orgTotals', () => {
+  it('sums task counts across projects', () => {
+    const rows = [
+      { project: 'web', pending_count: 2, in_progress_count: 1, total_count: 10 },
+      { project: 'api', pending_count: 0, in_progress_count: 3, total_count: 4 }
+    ];
+    assert.deepEqual(orgTotals(rows), { project_count: 2, pending_count: 2, in_progress_count: 4, total_count: 14 });
+  });
+
+  it('is all zeros for an org without projects', () => {
+    assert.deepEqual(orgTotals([]), { project_count: 0, pending_count: 0, in_progress_count: 0, total_count: 0 });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { createServer } from 'node:http';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const cli = fileURLToPath(new URL('../index.js', import.meta.url));
+const home = mkdtempSync(join(tmpdir(), 'ats-home-'));
+const cwd = mkdtempSync(join(tmpdir(), 'ats-project-'));
+
+/**
+ * Start a local server answering every request with `data`.
+ */
+async function serve(data) {
+  const server = createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return { url, close };
+}
+
+/**
+ * Run the CLI against `url` with a clean HOME and working directory.
+ */
+function ats(url, ...args) {
+  const env = { ...process.env, HOME: home, ATS_URL: url };
+  delete env.ATS_API_KEY;
+  return new Promise((resolve) => {
+    execFile(process.execPath, [cli, ...args], { cwd, env, timeout: 20000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+// ============================================================================
+// Confirmations and machine-readable output
+// ============================================================================
+
+describe('write commands with --format', () => {
+  const task = { id: 42, title: 'Deploy', status: 'pending', priority: 5 };
+
+  it('print only the formatted result outside table mode', async () => {
+    const server = await serve({ task });
+    try {
+      const created = await ats(server.url, 'create', 'Deploy', '-f', 'csv', '--columns', 'id,title');
+      assert.equal(created.stdout, 'id,title\n42,Deploy\n');
+
+      const updated = await ats(server.url, 'update', '42', '--title', 'Deploy', '-f', 'json');
+      assert.deepEqual(JSON.parse(updated.stdout), task);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('keep the confirmation in table mode', async () => {
+    const server = await serve({ task });
+    try {
+      const created = await ats(server.url, 'create', 'Deploy');
+      assert.match(created.stdout, /✓ Task created with ID: 42/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('print only the message for message add', async () => {
+    const server = await serve({ message: { id: 7, content: 'hi' } });
+    try {
+      const added = await ats(server.url, 'message', 'add', '42', 'hi', '-f', 'json');
+      assert.deepEqual(JSON.parse(added.stdout), { id: 7, content: 'hi' });
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('errors with --format', () => {
+  it('are written as JSON for ndjson', async () => {
+    // Nothing listens on a closed server's port, so the request fails fast
+    const server = await serve({});
+    await server.close();
+    const result = await ats(server.url, 'get', '42', '-f', 'ndjson', '--retries', '0');
+    assert.equal(result.code, 20);
+    assert.equal(JSON.parse(result.stderr).error.type, 'network');
+  });
+
+  it('reject a bare -f', async () => {
+    const result = await ats('http://127.0.0.1:9', 'list', '-f');
+    assert.equal(result.code, 24);
+    assert.match(result.stderr, /Missing value for --format/);
+  });
+});
+
+describe('empty results with --format', () => {
+  it('print [] for org list and project list', async () => {
+    const server = await serve({ organizations: [] });
+    try {
+      for (const command of ['org', 'project']) {
+        const result = await ats(server.url, command, 'list', '-f', 'json');
+        assert.deepEqual(JSON.parse(result.stdout), []);
+      }
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('print [] for an empty import', async () => {
+    const file = join(cwd, 'empty.jsonl');
+    writeFileSync(file, '');
+    const result = await ats('http://127.0.0.1:9', 'import', file, '-f', 'json');
+    assert.equal(result.code, 0);
+    assert.deepEqual(JSON.parse(result.stdout), []);
+  });
+});
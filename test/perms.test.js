@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { effectiveAccess } from '../index.js';
+
+// ============================================================================
+// effectiveAccess
+// ============================================================================
+
+const alice = { type: 'human', id: 'alice' };
+
+describe('effectiveAccess', () => {
+  it('gives org owners and admins rw', () => {
+    const members = [{ actor_type: 'human', actor_id: 'alice', role: 'admin' }];
+    assert.deepEqual(effectiveAccess([], members, alice, 'acme', 'web'), { access: 'rw', via: ['org admin'] });
+  });
+
+  it('uses grants on the project, the org and the wildcard', () => {
+    const permissions = [
+      { id: 1, actor_type: 'human', actor_id: 'alice', namespace: 'acme/web', access: 'r' },
+      { id: 2, actor_type: 'human', actor_id: 'alice', namespace: 'acme', access: 'rw' }
+    ];
+    assert.deepEqual(effectiveAccess(permissions, [], alice, 'acme', 'web'), { access: 'rw', via: ['grant #2 on acme'] });
+  });
+
+  it('ignores other actors, other projects and channel grants', () => {
+    const permissions = [
+      { id: 1, actor_type: 'human', actor_id: 'bob', namespace: 'acme/web', access: 'rw' },
+      { id: 2, actor_type: 'agent', actor_id: 'alice', namespace: 'acme/web', access: 'rw' },
+      { id: 3, actor_type: 'human', actor_id: 'alice', namespace: 'acme/api', access: 'rw' },
+      { id: 4, actor_type: 'human', actor_id: 'alice', namespace: 'support', access: 'rw' }
+    ];
+    const members = [{ actor_type: 'human', actor_id: 'alice', role: 'member' }];
+    assert.deepEqual(effectiveAccess(permissions, members, alice, 'acme', 'web'), { access: null, via: [] });
+  });
+});
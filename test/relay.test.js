@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { relayEvent, signPayload, createSerialQueue } from '../index.js';
+
+// ============================================================================
+// relayEvent
+// ============================================================================
+
+/**
+ * Start a local webhook receiver answering each request with the next status in `statuses`.
+ */
+async function receiver(statuses) {
+  const seen = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      seen.push({ headers: req.headers, body });
+      const status = statuses[Math.min(seen.length - 1, statuses.length - 1)];
+      res.writeHead(status, { 'Retry-After': '0' });
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return { url, seen, close };
+}
+
+const event = {
+  id: 812, type: 'task.completed', created_at: '2026-03-01T10:00:00.000Z', actor_name: 'Worker 1',
+  data: { task: { id: 42, title: 'Review PR', status: 'completed' } }
+};
+
+describe('relayEvent', () => {
+  it('posts the event envelope with a signature', async () => {
+    const hook = await receiver([200]);
+    try {
+      const results = await relayEvent(event, { to: hook.url, secret: 's3cret', retries: 0 });
+      assert.deepEqual(results, [{ target: hook.url, ok: true, attempts: 1, error: null }]);
+
+      const [{ headers, body }] = hook.seen;
+      assert.equal(JSON.parse(body).task.id, 42);
+      assert.equal(headers['x-ats-event'], 'task.completed');
+      assert.equal(headers['x-ats-signature'], signPayload('s3cret', headers['x-ats-timestamp'], body));
+    } finally {
+      await hook.close();
+    }
+  });
+
+  it('retries failed deliveries with the same delivery id', async () => {
+    const hook = await receiver([503, 200]);
+    try {
+      const [result] = await relayEvent(event, { to: hook.url, retries: 2 });
+      assert.equal(result.ok, true);
+      assert.equal(result.attempts, 2);
+      assert.equal(hook.seen[0].headers['x-ats-delivery'], hook.seen[1].headers['x-ats-delivery']);
+      assert.equal(hook.seen[0].headers['x-ats-signature'], undefined);
+    } finally {
+      await hook.close();
+    }
+  });
+
+  it('dead-letters deliveries that keep failing, keeping the newest entries', async () => {
+    const hook = await receiver([400]);
+    const deadLetter = join(mkdtempSync(join(tmpdir(), 'ats-relay-')), 'dead.jsonl');
+    try {
+      for (const id of [1, 2, 3]) {
+        const [result] = await relayEvent({ ...event, id }, { to: hook.url, retries: 3, deadLetter, deadLetterMax: 2 });
+        assert.deepEqual({ ok: result.ok, attempts: result.attempts, error: result.error }, { ok: false, attempts: 1, error: 'HTTP 400' });
+      }
+      const entries = readFileSync(deadLetter, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+      assert.deepEqual(entries.map((entry) => entry.event.id), [2, 3]);
+      assert.equal(entries[0].target, hook.url);
+    } finally {
+      await hook.close();
+    }
+  });
+
+  it('runs a shell hook with the event on stdin', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'ats-relay-'));
+    const out = join(dir, 'event.json');
+    const [result] = await relayEvent(event, { exec: `cat > "${out}" && test "$ATS_TASK_ID" = 42`, retries: 0 });
+    assert.equal(result.ok, true);
+    assert.equal(JSON.parse(readFileSync(out, 'utf-8')).id, 812);
+
+    const [failed] = await relayEvent(event, { exec: 'exit 3', retries: 0 });
+    assert.deepEqual({ ok: failed.ok, error: failed.error }, { ok: false, error: 'exit code 3' });
+  });
+});
+
+// ============================================================================
+// createSerialQueue
+// ============================================================================
+
+describe('createSerialQueue', () => {
+  it('handles items one at a time, in order', async () => {
+    const log = [];
+    const queue = createSerialQueue(async (item) => {
+      log.push(`start ${item}`);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      log.push(`end ${item}`);
+    }, 10);
+    queue.push(1);
+    queue.push(2);
+    await queue.idle();
+    assert.deepEqual(log, ['start 1', 'end 1', 'start 2', 'end 2']);
+  });
+
+  it('refuses items beyond the backlog cap while the handler is stuck', async () => {
+    let release;
+    const handled = [];
+    const queue = createSerialQueue(async (item) => {
+      if (item === 1) await new Promise((resolve) => { release = resolve; });
+      handled.push(item);
+    }, 2);
+    // Item 1 is being handled; 2 and 3 wait; 4 does not fit
+    assert.deepEqual([1, 2, 3, 4].map(item => queue.push(item)), [true, true, true, false]);
+    assert.equal(queue.size, 2);
+
+    release();
+    await queue.idle();
+    assert.deepEqual(handled, [1, 2, 3]);
+    assert.equal(queue.push(5), true);
+    await queue.idle();
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventStream } from '../index.js';
+
+/**
+ * Stand-in for the global WebSocket: the test opens it and pushes frames.
+ */
+class FakeWebSocket {
+  static OPEN = 1;
+  static last = null;
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.last = this;
+  }
+
+  send(frame) {
+    this.sent.push(JSON.parse(frame));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen();
+  }
+
+  push(msg) {
+    this.onmessage({ data: JSON.stringify(msg) });
+  }
+}
+
+/**
+ * Client double whose event history is `history` and whose tasks are `tasks` (by ID).
+ */
+function fakeClient(history = [], tasks = {}) {
+  const queries = [];
+  return {
+    queries,
+    tasks: {
+      get: async (id) => {
+        if (!tasks[id]) throw new Error(`Task ${id} not found`);
+        return tasks[id];
+      }
+    },
+    config: { baseUrl: 'http://ats.test', actor: { type: 'agent', id: 'bot', name: 'Bot' } },
+    events: {
+      listAll: async (params) => {
+        queries.push(params);
+        return history;
+      }
+    }
+  };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Open a stream, push `live` events and collect what it delivers.
+ */
+async function collect(client, opts, live = [], filters = {}) {
+  const stream = new EventStream(client, filters, opts);
+  const delivered = [];
+  stream.on('event', (msg) => delivered.push(msg));
+  FakeWebSocket.last.open();
+  for (const msg of live) FakeWebSocket.last.push(msg);
+  await flush();
+  stream.close();
+  return delivered;
+}
+
+// ============================================================================
+// EventStream
+// ============================================================================
+
+describe('EventStream', () => {
+  const original = globalThis.WebSocket;
+  before(() => { globalThis.WebSocket = FakeWebSocket; });
+  after(() => { globalThis.WebSocket = original; });
+
+  it('delivers every live event that has no ID', async () => {
+    const update = { type: 'task.updated', data: { task: { id: 7 } } };
+    const delivered = await collect(fakeClient(), {}, [update, update]);
+    assert.equal(delivered.length, 2);
+  });
+
+  it('drops replayed events that were also seen live', async () => {
+    const history = [
+      { id: 11, type: 'task.created', task_id: 7, created_at: '2026-03-01 10:00:01' },
+      { id: 12, type: 'task.claimed', task_id: 7, created_at: '2026-03-01 10:00:02' }
+    ];
+    const client = fakeClient(history);
+    const live = [{ id: 12, type: 'task.claimed', data: { task: { id: 7 } } }, { id: 13, type: 'task.completed' }];
+    const delivered = await collect(client, { since: { id: 10, at: '2026-03-01T09:00:00Z' } }, live);
+    assert.deepEqual(client.queries, [{ since: '2026-03-01T09:00:00Z' }]);
+    assert.deepEqual(delivered.map(e => [e.id, !!e.replayed]), [[11, true], [12, true], [13, false]]);
+  });
+
+  it('replays after a checkpoint that holds only an event ID', async () => {
+    const history = [
+      { id: 3, type: 'task.completed', created_at: '2026-03-01T10:00:03Z' },
+      { id: 1, type: 'task.created', created_at: '2026-03-01T10:00:01Z' },
+      { id: 2, type: 'task.claimed', created_at: '2026-03-01T10:00:02Z' }
+    ];
+    const client = fakeClient(history);
+    const delivered = await collect(client, { since: { id: 1, at: null } });
+    assert.deepEqual(client.queries, [{}]);
+    assert.deepEqual(delivered.map(e => e.id), [2, 3]);
+  });
+
+  it('reports a checkpoint event that is no longer in the history', async () => {
+    const stream = new EventStream(fakeClient([]), {}, { since: { id: 99, at: null } });
+    const errors = [];
+    stream.on('error', (err) => errors.push(err.message));
+    FakeWebSocket.last.open();
+    await flush();
+    stream.close();
+    assert.deepEqual(errors, ['Could not replay missed events: event 99 is not in the event history']);
+  });
+
+  it('filters replayed events on their task like live events', async () => {
+    const history = [
+      { id: 1, type: 'task.updated', task_id: 7, created_at: '2026-03-01T10:00:01Z' },
+      { id: 2, type: 'task.updated', task_id: 8, created_at: '2026-03-01T10:00:02Z' },
+      { id: 3, type: 'task.updated', task_id: 9, created_at: '2026-03-01T10:00:03Z' }
+    ];
+    const tasks = {
+      7: { id: 7, assignee_id: 'bot', priority: 9 },
+      8: { id: 8, assignee_id: null, priority: 9 }
+    };
+    const since = { id: null, at: '2026-03-01T10:00:00Z' };
+
+    const mine = await collect(fakeClient(history, tasks), { since }, [], { assignee_ids: ['bot'] });
+    // Task 9 could not be fetched: its assignee is unknown, so it is not held against it
+    assert.deepEqual(mine.map(e => e.id), [1, 3]);
+    assert.equal(mine[0].data.task.priority, 9);
+
+    const urgent = await collect(fakeClient(history, { 7: { id: 7, priority: 3 }, 8: { id: 8, priority: 9 } }), { since }, [],
+      { min_priority: 8 });
+    assert.deepEqual(urgent.map(e => e.id), [2, 3]);
+  });
+
+  it('applies --assignee the same way to live events', async () => {
+    const live = [
+      { id: 1, type: 'task.updated', data: { task: { id: 7, assignee_id: 'bot' } } },
+      { id: 2, type: 'task.updated', data: { task: { id: 8, assignee_id: null } } },
+      { id: 3, type: 'task.updated', data: { task: { id: 9 } } }
+    ];
+    const delivered = await collect(fakeClient(), {}, live, { assignee_ids: ['bot'] });
+    assert.deepEqual(delivered.map(e => e.id), [1, 3]);
+  });
+});
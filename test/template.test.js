@@ -0,0 +1,131 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Templates are looked up from the working directory and $HOME; point both at
+// temp directories before the CLI module reads them.
+const home = mkdtempSync(join(tmpdir(), 'ats-home-'));
+const project = mkdtempSync(join(tmpdir(), 'ats-project-'));
+const nested = join(project, 'services', 'api');
+mkdirSync(nested, { recursive: true });
+process.env.HOME = home;
+process.chdir(nested);
+
+const { applyTemplate, createPriority, loadTemplate, listTemplates } = await import('../index.js');
+
+function writeTemplate(dir, name, template) {
+  mkdirSync(join(dir, '.ats', 'templates'), { recursive: true });
+  writeFileSync(join(dir, '.ats', 'templates', `${name}.json`), JSON.stringify(template));
+}
+
+// ============================================================================
+// loadTemplate
+// ============================================================================
+
+describe('loadTemplate', () => {
+  writeTemplate(home, 'deploy', { title: 'Global deploy' });
+  writeTemplate(home, 'triage', { title: 'Triage {{issue}}' });
+  writeTemplate(project, 'deploy', { title: 'Project deploy' });
+
+  it('prefers templates from the nearest project directory', () => {
+    assert.equal(loadTemplate('deploy').template.title, 'Project deploy');
+    assert.equal(loadTemplate('triage').path, join(home, '.ats', 'templates', 'triage.json'));
+  });
+
+  it('reports unknown and malformed templates', () => {
+    assert.throws(() => loadTemplate('missing'), /Template not found: "missing"/);
+    assert.throws(() => loadTemplate('../deploy'), /Invalid template name/);
+    writeTemplate(project, 'typo', { titel: 'x' });
+    assert.throws(() => loadTemplate('typo'), /unknown field\(s\) titel/);
+  });
+});
+
+// ============================================================================
+// listTemplates
+// ============================================================================
+
+describe('listTemplates', () => {
+  it('warns about invalid template files and lists the rest', () => {
+    writeTemplate(project, 'typo', { titel: 'x' });
+    mkdirSync(join(home, '.ats', 'templates'), { recursive: true });
+    writeFileSync(join(home, '.ats', 'templates', 'broken.json'), '{oops');
+    const warn = mock.method(console, 'error', () => {});
+    try {
+      const names = listTemplates().map(t => t.name);
+      assert.ok(names.includes('deploy') && names.includes('triage'));
+      assert.ok(!names.includes('typo') && !names.includes('broken'));
+      const warnings = warn.mock.calls.map(call => call.arguments[0]).join('\n');
+      assert.match(warnings, /typo\.json: unknown field\(s\) titel\..* \(skipped\)/);
+      assert.match(warnings, /broken\.json: .* \(skipped\)/);
+    } finally {
+      warn.mock.restore();
+    }
+  });
+});
+
+// ============================================================================
+// applyTemplate
+// ============================================================================
+
+const deploy = {
+  name: 'deploy',
+  template: {
+    title: 'Deploy {{version}} to {{ env }}',
+    priority: 8,
+    payload: { version: '{{version}}', steps: ['build {{version}}'], notify: '{{notify}}' },
+    variables: { env: { default: 'staging', description: 'Target' }, notify: '#deploys' }
+  }
+};
+
+describe('applyTemplate', () => {
+  it('fills placeholders in strings and nested payload values', () => {
+    assert.deepEqual(applyTemplate(deploy, { version: '2.1', env: 'prod' }), {
+      title: 'Deploy 2.1 to prod',
+      priority: 8,
+      payload: { version: '2.1', steps: ['build 2.1'], notify: '#deploys' }
+    });
+  });
+
+  it('uses variable defaults', () => {
+    assert.equal(applyTemplate(deploy, { version: '2.1' }).title, 'Deploy 2.1 to staging');
+  });
+
+  it('lists every missing variable at once', () => {
+    const template = { name: 'incident', template: { title: '{{service}} down', description: 'Seen in {{region}}' } };
+    assert.throws(() => applyTemplate(template, {}), /Missing variable\(s\) for template "incident": service, region/);
+  });
+
+  it('warns about variables the template does not use', () => {
+    const warn = mock.method(console, 'error', () => {});
+    try {
+      applyTemplate(deploy, { version: '2.1', verison: '2.2' });
+      assert.match(warn.mock.calls[0].arguments[0], /does not use: verison/);
+    } finally {
+      warn.mock.restore();
+    }
+  });
+});
+
+// ============================================================================
+// createPriority
+// ============================================================================
+
+describe('createPriority', () => {
+  it('prefers --priority, then the template, then 5', () => {
+    assert.equal(createPriority('3', 8, 'deploy'), 3);
+    assert.equal(createPriority(undefined, 8, 'deploy'), 8);
+    assert.equal(createPriority(undefined, undefined, 'deploy'), 5);
+  });
+
+  it('coerces a quoted template priority to a number', () => {
+    assert.equal(createPriority(undefined, '8', 'deploy'), 8);
+  });
+
+  it('rejects template priorities --priority would reject', () => {
+    assert.throws(() => createPriority(undefined, '11', 'deploy'), /Invalid priority in template "deploy": "11"\. Priority must be between 1 and 10/);
+    assert.throws(() => createPriority(undefined, 'high', 'deploy'), /Priority must be between 1 and 10/);
+    assert.throws(() => createPriority('0', 8, 'deploy'), /Priority must be between 1 and 10/);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUntil, waitForTasks, waitExitCode } from '../index.js';
+
+// ============================================================================
+// waitExitCode
+// ============================================================================
+
+describe('waitExitCode', () => {
+  it('maps final statuses to exit codes', () => {
+    const code = (status) => waitExitCode({ tasks: [{ status }], timedOut: false });
+    assert.equal(code('completed'), 0);
+    assert.equal(code('failed'), 10);
+    assert.equal(code('rejected'), 11);
+    assert.equal(code('cancelled'), 12);
+  });
+
+  it('exits 13 on timeout whatever the tasks reached', () => {
+    assert.equal(waitExitCode({ tasks: [{ status: 'completed' }], timedOut: true }), 13);
+  });
+
+  it('uses the first non-success status in argument order', () => {
+    const tasks = [{ status: 'completed' }, { status: 'cancelled' }, { status: 'failed' }];
+    assert.equal(waitExitCode({ tasks, timedOut: false }), 12);
+  });
+
+  it('treats statuses reached through --until as success', () => {
+    assert.equal(waitExitCode({ tasks: [{ status: 'in_progress' }], timedOut: false }), 0);
+  });
+});
+
+// ============================================================================
+// parseUntil
+// ============================================================================
+
+describe('parseUntil', () => {
+  it('defaults to the final statuses', () => {
+    assert.deepEqual(parseUntil(undefined), ['completed', 'failed', 'rejected', 'cancelled']);
+  });
+
+  it('reads a comma-separated list', () => {
+    assert.deepEqual(parseUntil('in_progress, completed'), ['in_progress', 'completed']);
+  });
+
+  it('rejects unknown statuses', () => {
+    assert.throws(() => parseUntil('done'), /Invalid status: "done"/);
+  });
+});
+
+// ============================================================================
+// waitForTasks
+// ============================================================================
+
+/**
+ * Client double returning a fixed status per task; events are unavailable.
+ */
+function fakeClient(statuses) {
+  return {
+    config: {},
+    tasks: { get: async (id) => ({ id, status: statuses[id] }) },
+    watch: () => { throw new Error('no events'); }
+  };
+}
+
+describe('waitForTasks', () => {
+  it('finishes once every task reaches an --until status', async () => {
+    const client = fakeClient({ 1: 'in_progress', 2: 'completed' });
+    const result = await waitForTasks(client, ['1', '2'], { until: ['in_progress', 'completed'] });
+    assert.deepEqual(result, { tasks: [{ id: '1', status: 'in_progress' }, { id: '2', status: 'completed' }], timedOut: false });
+  });
+
+  it('times out while a task is outside the --until statuses', async () => {
+    const client = fakeClient({ 1: 'pending' });
+    const result = await waitForTasks(client, ['1'], { until: ['completed'], timeout: 20, pollInterval: 5 });
+    assert.equal(result.timedOut, true);
+    assert.equal(waitExitCode(result), 13);
+  });
+});